@@ -0,0 +1,54 @@
+// @flow
+
+/**
+ * A single problem reported by the Closure Templates compiler.
+ */
+export type SoyDiagnostic = {
+  file: ?string,
+  line: ?number,
+  column: ?number,
+  severity: 'error' | 'warning',
+  message: string,
+  snippet: ?string,
+};
+
+/**
+ * Formats a diagnostic as `file:line:column: severity: message`.
+ * @param {SoyDiagnostic} diagnostic
+ * @return {string}
+ */
+export function formatDiagnostic(diagnostic: SoyDiagnostic): string {
+  const location = [diagnostic.file, diagnostic.line, diagnostic.column]
+    .filter(part => part !== null && part !== undefined)
+    .join(':');
+  const prefix = location ? `${location}: ` : '';
+  let formatted = `${prefix}${diagnostic.severity}: ${diagnostic.message}`;
+  if (diagnostic.snippet) formatted += `\n${diagnostic.snippet}`;
+  return formatted;
+}
+
+/**
+ * Error raised when the Closure Templates compiler fails.  The parsed compiler
+ * output is available on `diagnostics`, the raw output on `stderr`.
+ */
+export default class SoyCompileError extends Error {
+  diagnostics: Array<SoyDiagnostic>;
+
+  stderr: string;
+
+  /**
+   * @param {Array.<SoyDiagnostic>} diagnostics
+   * @param {string=} stderr Raw output of the compiler.
+   */
+  constructor(diagnostics: Array<SoyDiagnostic>, stderr: string = '') {
+    const errors = diagnostics.filter(d => d.severity === 'error');
+    super(
+      ['Error compiling templates']
+        .concat(errors.map(formatDiagnostic))
+        .join('\n')
+    );
+    this.name = 'SoyCompileError';
+    this.diagnostics = diagnostics;
+    this.stderr = stderr;
+  }
+}
@@ -9,7 +9,40 @@ import { promisify } from 'util';
 import rimraf from 'rimraf';
 import clone from 'clone';
 import SoyVmContext from './SoyVmContext';
+import SoyCompilerDaemon from './SoyCompilerDaemon';
+import findFiles from './findFiles';
+import SoyDirectoryWatcher from './SoyDirectoryWatcher';
+import type { DirectoryChanges } from './SoyDirectoryWatcher';
 import SoyOptions from './SoyOptions';
+import SoyRenderStream from './SoyRenderStream';
+import SoyParamError from './SoyParamError';
+import validateParams from './validateParams';
+import suggestNames from './suggestNames';
+import type { SoyParamInfo } from './parseSoyFile';
+import resolveLogger from './SoyLogger';
+import type { SoyLogger } from './SoyLogger';
+import SoyCompileError, { formatDiagnostic } from './SoyCompileError';
+import parseDiagnostics from './parseDiagnostics';
+import SoyDependencyGraph from './SoyDependencyGraph';
+import shardFiles from './shardFiles';
+import { buildSourceMap, mapTemplateLines } from './soySourceMaps';
+import type { SoyLineMap } from './soySourceMaps';
+import { compareMessages, parseXliff } from './xliff';
+import type { XliffComparison } from './xliff';
+import {
+  buildBundleScript,
+  buildRuntime,
+  wrapModule,
+  RUNTIME_FILE_NAME,
+} from './soyModules';
+import {
+  hash,
+  hashFile,
+  hashStableFile,
+  readManifest,
+  updateManifest,
+} from './buildManifest';
+import type { SoyDiagnostic } from './SoyCompileError';
 
 /** @private {SoyOptions} */
 const _defaultOptions = JSON.parse(JSON.stringify(new SoyOptions()));
@@ -19,74 +52,165 @@ const _defaultOptions = JSON.parse(JSON.stringify(new SoyOptions()));
  */
 const DEFAULT_VM_CONTEXT = 'default';
 
+/**
+ * Main class of the Closure Templates JS compiler.
+ */
+const SOY_TO_JS_COMPILER = 'com.google.template.soy.SoyToJsSrcCompiler';
+
+/**
+ * Main class of the soy jar extracting the messages of soy files.
+ */
+const SOY_MSG_EXTRACTOR = 'com.google.template.soy.SoyMsgExtractor';
+
 /**
  * Emits the compile event. Swallows any errors thrown by the receiver.
+ * @param {EventEmitter} emitter
+ * @param {SoyLogger} logger
+ * @param {Error=} err
+ * @param {Array.<SoyDiagnostic>=} warnings Warnings of a successful compile.
  */
-function emitCompile(emitter, err) {
+function emitCompile(
+  emitter: EventEmitter,
+  logger: SoyLogger,
+  err: ?Error,
+  warnings: Array<SoyDiagnostic> = []
+) {
   try {
-    emitter.emit('compile', err, !!err);
+    emitter.emit('compile', err, warnings);
   } catch (e) {
-    console.error('soynode: emit error', e);
+    logger.error({ err: e }, 'emit error');
   }
 }
 
-async function clean(outputDir: string): Promise<void> {
+/**
+ * @param {string} outputDir
+ * @param {SoyLogger} logger
+ * @return {Promise}
+ */
+async function clean(outputDir: string, logger: SoyLogger): Promise<void> {
   try {
     await promisify(rimraf)(outputDir);
   } catch (err) {
-    console.error('soynode: Error deleting temporary files', err);
+    logger.error({ err, outputDir }, 'Error deleting temporary files');
   }
 }
 
 /**
- * Performs a recursive directory traversal of the given directory, accumulating all files with the
- * provided extension.  The resultant array is a list of paths relative to the input directory.
- * @param {string} directory
- * @param {string} extension
+ * What soynode knows about a compiled template, see SoyCompiler#listTemplates.
  */
-async function findFiles(
-  directory: string,
-  extension: string
-): Promise<Array<string>> {
-  const files = [];
-  const stack = [directory];
-
-  async function next(): Promise<Array<string>> {
-    if (stack.length === 0) {
-      return files;
-    }
-    const dir = stack.pop();
-    const stats = await promisify(fs.stat)(dir);
+export type SoyTemplateDescription = {
+  name: string,
+  namespace: ?string,
+  file: string,
+  line: number,
+  description: ?string,
+  params: Array<SoyParamInfo>,
+  private: boolean,
+  delegate: boolean,
+  variant: ?string,
+  variants: Array<string>,
+  calls: Array<string>,
+  delcalls: Array<string>,
+  vmTypes: Array<string>,
+};
+
+/**
+ * Options of SoyCompiler#buildBrowserBundle.
+ */
+export type BrowserBundleOptions = {
+  locale?: ?string,
+  /** Templates whose files are bundled whole, with the files they call into. */
+  include?: Array<string>,
+  /**
+   * Templates not to select.  Only leaves out files whose included templates
+   * are all excluded: an excluded template declared in a bundled file, or in a
+   * file a bundled one calls into, is still bundled.
+   */
+  exclude?: Array<string>,
+  outputDir?: ?string,
+  fileName?: ?string,
+  minify?: ?(code: string) => string | Promise<string>,
+};
 
-    if (!stats.isDirectory()) return next();
+/**
+ * Options of SoyCompiler#extractMessages.
+ */
+export type ExtractMessagesOptions = {
+  inputDir: string,
+  outputFile: string,
+  sourceLocale?: ?string,
+  targetLocale?: ?string,
+};
 
-    const dirContents = await promisify(fs.readdir)(dir);
+/**
+ * Options of SoyCompiler#checkTranslations.
+ */
+export type CheckTranslationsOptions = {
+  inputDir: string,
+  locales?: ?Array<string>,
+  messageFilePathFormat?: ?string,
+};
 
-    dirContents.forEach(file => {
-      const fullpath = path.join(dir, file);
-      // If the file is a soy file then push it onto the files array.
-      if (file.substr(-1 - extension.length) === `.${extension}`) {
-        files.push(path.relative(directory, fullpath));
+/**
+ * How complete the message file of a locale is, see SoyCompiler#checkTranslations.
+ */
+export type TranslationReport = XliffComparison & {
+  locale: string,
+  file: string,
+  missingFile: boolean,
+  complete: boolean,
+};
 
-        // If the file has no extension add it to the stack for potential processing. We
-        // optimistically add potential dirs here to simplify the async nature of fs calls.
-      } else if (file.indexOf('.') === -1) {
-        stack.push(fullpath);
-      }
-    });
-    return next();
-  }
-  return next();
+/**
+ * Substitutes the locale like the soy compiler does, `{LOCALE_LOWER_CASE}` also
+ * turning dashes into underscores (`pt_br` for `pt-BR`).
+ * @param {string} format The messageFilePathFormat option.
+ * @param {string} locale
+ * @return {string} The message file of the locale.
+ */
+function getMessageFilePath(format: string, locale: string): string {
+  return format
+    .replace(/\{LOCALE\}/g, locale)
+    .replace(/\{LOCALE_LOWER_CASE\}/g, locale.toLowerCase().replace(/-/g, '_'));
+}
+
+/**
+ * @param {?string} variant The variant attribute of a deltemplate.
+ * @return {?string} The variant without the quotes of a string literal.
+ */
+function unquoteVariant(variant: ?string): ?string {
+  return variant ? variant.replace(/^'(.*)'$/, '$1') : variant;
+}
+
+/**
+ * @param {string} name
+ * @param {Array.<string>} patterns Template names, `*` matching any characters.
+ * @return {boolean} Whether the name matches one of the patterns.
+ */
+function matchesPatterns(name: string, patterns: Array<string>): boolean {
+  return patterns.some(pattern =>
+    new RegExp(
+      `^${pattern
+        .split('*')
+        .map(part => part.replace(/[.?+^$[\]\\(){}|-]/g, '\\$&'))
+        .join('.*')}$`
+    ).test(name)
+  );
 }
 
 /**
  * The main public API of soynode.
+ *
+ * Emits the following events, see the README for their payloads:
+ * compileStart, compileSuccess, compileError, templatesReloaded, fileChanged and
+ * precompiledReused.
  * @constructor
  */
-export default class SoyCompiler {
+export default class SoyCompiler extends EventEmitter {
   _options: Object;
 
   constructor(options: SoyOptions) {
+    super();
     this._options = new SoyOptions();
     this.setOptions(options);
   }
@@ -98,12 +222,95 @@ export default class SoyCompiler {
    */
   _vmContexts = {};
 
+  /**
+   * Long-lived compiler used when `compilerMode` is 'daemon'.
+   * @type {?SoyCompilerDaemon}
+   */
+  _compilerDaemon = null;
+
+  /**
+   * Dependencies between the soy files that have been compiled.
+   * @type {SoyDependencyGraph}
+   */
+  _dependencyGraph = new SoyDependencyGraph();
+
+  /**
+   * Watchers of the directories compiled with dynamic recompile, keyed by directory.
+   * @type {Object.<string, SoyDirectoryWatcher>}
+   */
+  _directoryWatchers = {};
+
   /**
    * Map of filenames that have a watch to the last time it was called.
    * @param {Object.<number>}
    */
   _watches = {};
 
+  /**
+   * Output directories written to, for `close({ eraseOutput: true })`.
+   * @type {Object.<string, boolean>}
+   */
+  _outputDirs = {};
+
+  /**
+   * Compiles that have not completed yet.
+   * @type {Set.<Promise>}
+   */
+  _pendingCompiles: Set<Promise<mixed>> = new Set();
+
+  /**
+   * Whether close() has been called.
+   * @type {boolean}
+   */
+  _closed = false;
+
+  /**
+   * The logger configured by the `logger` option, resolved by setOptions.
+   * @type {SoyLogger}
+   */
+  _logger: SoyLogger = resolveLogger(null);
+
+  /**
+   * The error of the last compile, or null if it succeeded.
+   * @type {?Error}
+   */
+  _lastCompileError: ?Error = null;
+
+  /**
+   * Source files compiled for each vm type, as absolute paths, mapped to their
+   * output file.
+   * @type {Object.<string, Object.<string, string>>}
+   */
+  _compiledSources: { [vmType: string]: { [file: string]: string } } = {};
+
+  /**
+   * With `lazyLocales`, the compiles to repeat when a locale is loaded, keyed by
+   * output directory.
+   * @type {Object.<string, {inputDir: string, files: Array.<string>}>}
+   */
+  _lazyCompiles: {
+    [outputDir: string]: { inputDir: string, files: Array<string> },
+  } = {};
+
+  /**
+   * With `lazyLocales`, the loaded locales, least recently used first.
+   * @type {Array.<string>}
+   */
+  _loadedLocales: Array<string> = [];
+
+  /**
+   * With `lazyLocales`, the loads of locales, running or done.
+   * @type {Object.<string, Promise>}
+   */
+  _localeLoads: { [locale: string]: Promise<void> } = {};
+
+  /**
+   * With `lazyLocales`, the number of pending renders of each locale, which keep
+   * it from being released.
+   * @type {Object.<string, number>}
+   */
+  _pinnedLocales: { [locale: string]: number } = {};
+
   /** @return {SoyOptions} */
   getDefaultOptions = (): SoyOptions => clone(_defaultOptions);
 
@@ -117,40 +324,583 @@ export default class SoyCompiler {
    */
   setOptions = (opts: Object) => {
     this._options.merge(opts);
+    this._logger = resolveLogger(this._options.logger);
   };
 
   /**
    * Gets a reference to a template function.
    *
-   * Note: If dynamic recompilation is enabled the reference will not get updated.
+   * Note: By default the reference is not updated when the templates are
+   * recompiled.  Pass `{live: true}` for a function that always calls the
+   * currently loaded version of the template.  The function's `vmType` property
+   * is the vm type it renders with, see resolveVmType.
    *
    * @param {string} templateName
    * @param {string=} vmType optional type of the vm
+   * @param {{live: (boolean|undefined)}=} options
    * @return {function (Object) : string}
    */
-  get = (templateName: string, vmType: ?string): ((...any) => string) =>
-    this.getSoyVmContext(vmType).get(templateName);
+  get = (
+    templateName: string,
+    vmType: ?string,
+    options: { live?: boolean } = {}
+  ): ((...any) => string) => {
+    if (options.live) {
+      const live = (...args) => this.get(templateName, vmType)(...args);
+      // Resolved on access, as the compiled locales may change.
+      Object.defineProperty(
+        live,
+        'vmType',
+        ({ get: () => this.resolveVmType(vmType) }: Object)
+      );
+      return live;
+    }
+    const resolved = this._useVmType(this.resolveVmType(vmType));
+    let template;
+    try {
+      template = this.getSoyVmContext(resolved).get(templateName);
+    } catch (err) {
+      throw this._suggestTemplates(err, templateName, resolved);
+    }
+    // Each vm context has its own template functions.
+    template.vmType = resolved;
+    return template;
+  };
 
   /**
    * Renders a template using the provided data and returns the resultant string.
+   * Throws a SoyRenderTimeoutError if rendering takes longer than the timeout.
    * @param {string} templateName
    * @param {Object=} data
    * @param {Object=} injectedData optional injected data available via $ij
    * @param {string=} vmType optional type of the vm
+   * @param {{timeoutMs: (number|undefined)}=} options `timeoutMs` overrides the
+   *     `renderTimeoutMs` option.
    * @return {string}
    */
   render = (
     templateName: string,
     data: ?Object,
     injectedData: ?Object,
-    vmType: string
-  ): string =>
+    vmType: ?string,
+    options: { timeoutMs?: ?number } = {}
+  ): string => {
+    const timeoutMs = this._getRenderTimeout(options);
+    const resolved = this._useVmType(this.resolveVmType(vmType));
+    this._checkParams(templateName, data);
+    let output;
+    try {
+      output = this.getSoyVmContext(resolved).render(
+        templateName,
+        data,
+        this._getInjectedData(templateName, data, injectedData, resolved),
+        timeoutMs
+      );
+    } catch (err) {
+      throw this._suggestTemplates(err, templateName, resolved);
+    }
     // Certain autoescape modes of closure-templates return a Content object
     // instead of a string, so force a string.
-    String(this.get(templateName, vmType)(data, null, injectedData));
+    return String(output);
+  };
+
+  /**
+   * Renders a template like render, first loading the templates of the locale
+   * with `lazyLocales`.  The locale is not released while the render is pending.
+   * @param {string} templateName
+   * @param {Object=} data
+   * @param {Object=} injectedData optional injected data available via $ij
+   * @param {string=} vmType optional type of the vm
+   * @param {{timeoutMs: (number|undefined)}=} options
+   * @return {Promise<string>}
+   */
+  renderAsync = async (
+    templateName: string,
+    data: ?Object,
+    injectedData: ?Object,
+    vmType: ?string,
+    options: { timeoutMs?: ?number } = {}
+  ): Promise<string> => {
+    const resolved = this.resolveVmType(vmType);
+    this._pinnedLocales[resolved] = (this._pinnedLocales[resolved] || 0) + 1;
+    try {
+      await this.ensureLocale(resolved);
+      return this.render(templateName, data, injectedData, resolved, options);
+    } finally {
+      this._pinnedLocales[resolved] -= 1;
+      if (!this._pinnedLocales[resolved]) {
+        delete this._pinnedLocales[resolved];
+        // Release what the render kept loaded.
+        this._evictLocales();
+      }
+    }
+  };
+
+  /**
+   * Renders a template into a readable stream, e.g. to pipe it into an HTTP
+   * response.  The template is rendered when the stream is first read, and its
+   * output is pushed in chunks as the consumer asks for them.  Errors are emitted
+   * as stream errors naming the template.  The stream's `vmType` is the vm type
+   * it renders with, see resolveVmType.
+   * @param {string} templateName
+   * @param {Object=} data
+   * @param {Object=} injectedData optional injected data available via $ij
+   * @param {string=} vmType optional type of the vm
+   * @param {{timeoutMs: (number|undefined), highWaterMark: (number|undefined)}=} options
+   * @return {stream.Readable}
+   */
+  renderToStream = (
+    templateName: string,
+    data: ?Object,
+    injectedData: ?Object,
+    vmType: ?string,
+    options: { timeoutMs?: ?number, highWaterMark?: number } = {}
+  ): SoyRenderStream => {
+    const timeoutMs = this._getRenderTimeout(options);
+    const streamOptions = {};
+    if (options.highWaterMark)
+      streamOptions.highWaterMark = options.highWaterMark;
+    const resolved = this.resolveVmType(vmType);
+    const stream = new SoyRenderStream(
+      templateName,
+      outputSink => {
+        this._useVmType(resolved);
+        this._checkParams(templateName, data);
+        try {
+          return this.getSoyVmContext(resolved).render(
+            templateName,
+            data,
+            this._getInjectedData(templateName, data, injectedData, resolved),
+            timeoutMs,
+            outputSink
+          );
+        } catch (err) {
+          throw this._suggestTemplates(err, templateName, resolved);
+        }
+      },
+      streamOptions,
+      !this._options.rethrowRenderErrors
+    );
+    stream.vmType = resolved;
+    return stream;
+  };
+
+  /**
+   * Adds a function computing injected data for every render.  It is called with
+   * `{templateName, data, injectedData, vmType}`, `injectedData` being the one
+   * passed to the render, and returns an object to merge into `$ij`.
+   * @param {function(Object): ?Object} provider
+   * @return {function()} Removes the provider again.
+   */
+  addInjectedDataProvider = (provider: Object => ?Object): (() => void) => {
+    this._options.injectedDataProviders = this._options.injectedDataProviders.concat(
+      provider
+    );
+    return () => {
+      this._options.injectedDataProviders = this._options.injectedDataProviders.filter(
+        p => p !== provider
+      );
+    };
+  };
+
+  /**
+   * Merges the injected data of a render: `defaultInjectedData`, then the results
+   * of the providers in the order they were added, then the injected data passed
+   * to the render.  Later values win.
+   * @param {string} templateName
+   * @param {?Object} data
+   * @param {?Object} injectedData
+   * @param {?string} vmType
+   * @return {?Object}
+   * @private
+   */
+  _getInjectedData = (
+    templateName: string,
+    data: ?Object,
+    injectedData: ?Object,
+    vmType: ?string
+  ): ?Object => {
+    const { defaultInjectedData, injectedDataProviders } = this._options;
+    if (!defaultInjectedData && !injectedDataProviders.length) {
+      return injectedData;
+    }
+
+    const context = {
+      templateName,
+      data,
+      injectedData,
+      vmType: vmType || DEFAULT_VM_CONTEXT,
+    };
+    return Object.assign(
+      {},
+      defaultInjectedData,
+      ...injectedDataProviders.map(provider => provider(context)),
+      injectedData
+    );
+  };
+
+  /**
+   * Lists the templates and deltemplates compiled for a vm type, sorted by name.
+   * Templates loaded with loadCompiledTemplates are not known.
+   * @param {string=} vmType optional type of the vm, resolved like for render
+   * @return {Array.<SoyTemplateDescription>}
+   */
+  listTemplates = (vmType: ?string): Array<SoyTemplateDescription> => {
+    const sources = this._compiledSources[this.resolveVmType(vmType)] || {};
+    return this._describeTemplates()
+      .filter(template => sources[template.file])
+      .sort((a, b) => {
+        if (a.name !== b.name) return a.name < b.name ? -1 : 1;
+        return (a.variant || '') < (b.variant || '') ? -1 : 1;
+      });
+  };
+
+  /**
+   * Describes a compiled template.  For a deltemplate, describes its default
+   * implementation, or the first one if it has none.
+   * @param {string} templateName
+   * @return {?SoyTemplateDescription}
+   */
+  getTemplateInfo = (templateName: string): ?SoyTemplateDescription => {
+    const templates = this._describeTemplates().filter(
+      template => template.name === templateName && template.vmTypes.length
+    );
+    return (
+      templates.find(template => !template.delegate) ||
+      templates.find(template => !template.variant) ||
+      templates[0] ||
+      null
+    );
+  };
+
+  /**
+   * Writes a script for browsers per locale, holding the closure and soy support
+   * code followed by the compiled templates, so that browsers render with the
+   * same code as the server.  Whole files are bundled: those declaring a template
+   * matching `include` and not `exclude`, along with the files they call into.
+   * @param {BrowserBundleOptions=} options `locale` limits the bundles to one
+   *     locale, `outputDir` defaults to the outputDir option, `fileName` to the
+   *     concatFileName option and `minify` post-processes each bundle.
+   * @return {Promise<Array.<string>>} The files written.
+   */
+  buildBrowserBundle = async (
+    options: BrowserBundleOptions = {}
+  ): Promise<Array<string>> => {
+    const { soyUtilsPath, contextJsPaths, moduleFormat } = this._options;
+    const outputDir = options.outputDir || this._options.outputDir;
+    if (!outputDir) {
+      throw new Error('soynode: buildBrowserBundle needs an outputDir');
+    }
+    if (moduleFormat) {
+      throw new Error(
+        'soynode: buildBrowserBundle is not available with moduleFormat'
+      );
+    }
+
+    const include = options.include || ['*'];
+    const exclude = options.exclude || [];
+    const fileName = options.fileName || this._options.concatFileName;
+    const vmTypes = options.locale
+      ? [options.locale]
+      : Object.keys(this._compiledSources);
+    const graph = this._dependencyGraph;
+
+    return Promise.all(
+      vmTypes.map(async vmType => {
+        const sources = this._compiledSources[vmType];
+        if (!sources) {
+          throw new Error(
+            `soynode: No templates were compiled for [${vmType}]`
+          );
+        }
+
+        // Add the files the selected files call into, and so on.
+        const selected = Object.keys(sources).filter(file => {
+          const info = graph.getFileInfo(file);
+          return (
+            !!info &&
+            info.templates.some(
+              template =>
+                matchesPatterns(template.name, include) &&
+                !matchesPatterns(template.name, exclude)
+            )
+          );
+        });
+        for (let i = 0; i < selected.length; i++) {
+          graph.getFileDependencies(selected[i]).forEach(file => {
+            if (sources[file] && selected.indexOf(file) === -1) {
+              selected.push(file);
+            }
+          });
+        }
+
+        const templateSources = await Promise.all(
+          selected
+            .sort()
+            .map(file => promisify(fs.readFile)(sources[file], 'utf8'))
+        );
+        let code = await buildBundleScript(
+          soyUtilsPath,
+          contextJsPaths,
+          templateSources
+        );
+        if (options.minify) code = await options.minify(code);
+
+        const target = path.join(
+          outputDir,
+          vmType === DEFAULT_VM_CONTEXT
+            ? `${fileName}.soy.bundle.js`
+            : `${fileName}_${vmType}.soy.bundle.js`
+        );
+        await promisify(fs.writeFile)(target, code);
+        this._getLogger().info(
+          { file: target, vmType, templateFiles: selected.length },
+          'Wrote browser bundle'
+        );
+        return target;
+      })
+    );
+  };
+
+  /**
+   * Extracts the messages of the soy files in a directory to an XLIFF file for
+   * translators to fill in, and to use with `messageFilePathFormat`.
+   * @param {ExtractMessagesOptions} options `sourceLocale` defaults to `en`, the
+   *     file names no target locale unless `targetLocale` is given.
+   * @return {Promise<string>} The file written.
+   */
+  extractMessages = async (
+    options: ExtractMessagesOptions
+  ): Promise<string> => {
+    const logger = this._getLogger();
+    const inputDir = path.resolve(options.inputDir);
+    const outputFile = path.resolve(options.outputFile);
+    const files = await findFiles(inputDir, 'soy');
+    if (files.length === 0) {
+      throw new Error(`soynode: No soy files found in ${inputDir}`);
+    }
+
+    await promisify(fs.mkdirs)(path.dirname(outputFile));
+    const args = [
+      '--outputFile',
+      outputFile,
+      '--sourceLocaleString',
+      options.sourceLocale || 'en',
+    ];
+    if (options.targetLocale) {
+      args.push('--targetLocaleString', options.targetLocale);
+    }
+    args.push('--srcs', files.join(','));
+
+    const result = await this._runCompiler(SOY_MSG_EXTRACTOR, args, inputDir);
+    if (result.failed) {
+      const diagnostics = await parseDiagnostics(result.stderr, inputDir, true);
+      const err = new SoyCompileError(diagnostics, result.stderr);
+      logger.error({ inputDir, diagnostics }, err.message);
+      throw err;
+    }
+    logger.info(
+      { file: outputFile, inputDir, files: files.length },
+      'Extracted messages'
+    );
+    return outputFile;
+  };
+
+  /**
+   * Compares the messages of the soy files in a directory with the message file
+   * of each locale, listing the messages that are missing, obsolete or whose
+   * placeholders don't match the template.
+   * @param {CheckTranslationsOptions} options `locales` and
+   *     `messageFilePathFormat` default to the options of the compiler.
+   * @return {Promise<Array.<TranslationReport>>} A report per locale, complete
+   *     if no message is missing or mismatched.  A locale without a message file
+   *     is reported as `missingFile`, without listing its messages as missing.
+   */
+  checkTranslations = async (
+    options: CheckTranslationsOptions
+  ): Promise<Array<TranslationReport>> => {
+    const logger = this._getLogger();
+    const inputDir = path.resolve(options.inputDir);
+    const locales = options.locales || this._options.locales;
+    const format =
+      options.messageFilePathFormat || this._options.messageFilePathFormat;
+    if (!locales || locales.length === 0 || !format) {
+      throw new Error(
+        'soynode: checkTranslations needs locales and a messageFilePathFormat'
+      );
+    }
+
+    const { tmpDir } = this._options;
+    await promisify(fs.mkdirs)(tmpDir);
+    const extractDir = await promisify(fs.mkdtemp)(
+      path.join(tmpDir, 'messages-')
+    );
+    let extracted;
+    try {
+      const file = await this.extractMessages({
+        inputDir,
+        outputFile: path.join(extractDir, 'messages.xlf'),
+      });
+      extracted = parseXliff(await promisify(fs.readFile)(file, 'utf8'))
+        .messages;
+    } finally {
+      await clean(extractDir, logger);
+    }
+
+    return Promise.all(
+      locales.map(async locale => {
+        const file = path.resolve(inputDir, getMessageFilePath(format, locale));
+        let translations = null;
+        try {
+          translations = parseXliff(await promisify(fs.readFile)(file, 'utf8'))
+            .messages;
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+
+        const missingFile = !translations;
+        const comparison = compareMessages(extracted, translations || []);
+        if (missingFile) comparison.missing = [];
+        const complete =
+          !missingFile &&
+          comparison.missing.length === 0 &&
+          comparison.placeholderMismatches.length === 0;
+        (complete ? logger.info : logger.warn)(
+          {
+            locale,
+            file,
+            missingFile,
+            coverage: comparison.coverage,
+            missing: comparison.missing.length,
+            obsolete: comparison.obsolete.length,
+            placeholderMismatches: comparison.placeholderMismatches.length,
+          },
+          'Checked translations'
+        );
+        return { locale, file, missingFile, complete, ...comparison };
+      })
+    );
+  };
+
+  /**
+   * Describes all templates of the dependency graph.
+   * @return {Array.<SoyTemplateDescription>}
+   * @private
+   */
+  _describeTemplates = (): Array<SoyTemplateDescription> => {
+    const graph = this._dependencyGraph;
+    const vmTypes = Object.keys(this._compiledSources);
+    const descriptions = [];
+    graph.getFiles().forEach(file => {
+      const info = graph.getFileInfo(file);
+      if (!info) return;
+      info.templates.forEach(template => {
+        descriptions.push({
+          ...template,
+          namespace: info.namespace,
+          file,
+          params: template.params.slice(),
+          variant: unquoteVariant(template.variant),
+          variants: template.delegate
+            ? graph
+                .getTemplates(template.name)
+                .filter(t => t.delegate)
+                .map(t => unquoteVariant(t.variant) || '')
+            : [],
+          vmTypes: vmTypes.filter(type => this._compiledSources[type][file]),
+        });
+      });
+    });
+    return descriptions;
+  };
+
+  /**
+   * Adds the names of similar templates to an unknown template error.
+   * @param {Error} err
+   * @param {string} templateName
+   * @param {?string} vmType
+   * @return {Error} err
+   * @private
+   */
+  _suggestTemplates = (
+    err: Error,
+    templateName: string,
+    vmType: ?string
+  ): Error => {
+    if (!err || err.message !== `soynode: Unknown template [${templateName}]`) {
+      return err;
+    }
+    const names = this.listTemplates(vmType)
+      .filter(template => !template.delegate)
+      .map(template => template.name);
+    const suggestions = suggestNames(templateName, names);
+    if (suggestions.length) {
+      err.message += `, did you mean ${suggestions
+        .map(name => `[${name}]`)
+        .join(', ')}?`;
+    }
+    return err;
+  };
+
+  /**
+   * Checks render data against the params the template declares, according to
+   * the `validateParams` option.
+   * @param {string} templateName
+   * @param {?Object} data
+   * @private
+   */
+  _checkParams = (templateName: string, data: ?Object) => {
+    const mode = this._options.validateParams;
+    if (!mode) return;
+
+    const template = this._dependencyGraph
+      .getTemplates(templateName)
+      .find(t => !t.delegate);
+    if (!template) return;
+
+    const problems = validateParams(template, data);
+    if (!problems.length) return;
+    if (mode === 'warn') {
+      this._getLogger().warn(
+        { templateName, problems },
+        'Invalid template params'
+      );
+      return;
+    }
+    throw new SoyParamError(templateName, problems);
+  };
+
+  /**
+   * @param {{timeoutMs: (number|undefined)}} options Options of a render call.
+   * @return {?number}
+   * @private
+   */
+  _getRenderTimeout = (options: { timeoutMs?: ?number }): ?number =>
+    options.timeoutMs !== undefined
+      ? options.timeoutMs
+      : this._options.renderTimeoutMs;
+
+  /**
+   * Gets the names of all templates the given template calls, directly or indirectly.
+   * Delegate calls are reported by deltemplate name.  Only knows about compiled files.
+   * @param {string} templateName
+   * @return {Array.<string>}
+   */
+  getDependencies = (templateName: string): Array<string> =>
+    this._dependencyGraph.getDependencies(templateName);
+
+  /**
+   * Gets the names of all templates that call the given template, directly or
+   * indirectly.  Only knows about compiled files.
+   * @param {string} templateName
+   * @return {Array.<string>}
+   */
+  getDependents = (templateName: string): Array<string> =>
+    this._dependencyGraph.getDependents(templateName);
 
   /**
    * Gets the SoyVmContext object for the for the given locale, or the default if no locale is given.
+   * Creates it if it doesn't exist, see resolveVmType for the locale a render uses.
    *
    * @param {string=} vmType optional type of the vm
    */
@@ -163,6 +913,296 @@ export default class SoyCompiler {
     return this._vmContexts[vmType];
   };
 
+  /**
+   * Resolves the vm type a render for the given locale uses: the first of the
+   * locale, its `localeFallbacks` and its truncations (`pt` for `pt-BR`) that
+   * templates are compiled for, or the default vm type.
+   * @param {string=} vmType
+   * @return {string}
+   */
+  resolveVmType = (vmType: ?string): string => {
+    if (!vmType) return DEFAULT_VM_CONTEXT;
+    const vmTypes = this._getVmTypes();
+    return (
+      this._getFallbackChain(vmType).find(
+        type => !!this._vmContexts[type] || vmTypes.indexOf(type) !== -1
+      ) || DEFAULT_VM_CONTEXT
+    );
+  };
+
+  /**
+   * Lists the locales to try for a locale, in order: the locale, then for it and
+   * every locale added, its explicit fallbacks followed by its truncation.
+   * @param {string} locale
+   * @return {Array.<string>}
+   * @private
+   */
+  _getFallbackChain = (locale: string): Array<string> => {
+    const fallbacks = this._options.localeFallbacks || {};
+    const chain = [];
+    const add = (type: string) => {
+      if (chain.indexOf(type) !== -1) return;
+      chain.push(type);
+      [].concat(fallbacks[type] || []).forEach(add);
+      const separator = Math.max(type.lastIndexOf('-'), type.lastIndexOf('_'));
+      if (separator > 0) add(type.slice(0, separator));
+    };
+    add(locale);
+    return chain;
+  };
+
+  /**
+   * With `lazyLocales`, compiles and loads the templates of the locale renders
+   * for the given locale use, unless they are loaded already.  Then releases the
+   * least recently used locales beyond `maxLoadedLocales`.
+   * @param {string=} locale
+   * @return {Promise<string>} The vm type used to render for the locale.
+   */
+  ensureLocale = async (locale: ?string): Promise<string> => {
+    const vmType = this.resolveVmType(locale);
+    if (!this._isLazyLocale(vmType)) return vmType;
+    if (this._loadedLocales.indexOf(vmType) !== -1) {
+      this._touchLocale(vmType);
+      return vmType;
+    }
+
+    let load = this._localeLoads[vmType];
+    if (!load) {
+      load = this._loadLocale(vmType);
+      this._localeLoads[vmType] = load;
+      this._pendingCompiles.add(load);
+    }
+    try {
+      await load;
+    } catch (err) {
+      // Try again on the next render.
+      if (this._localeLoads[vmType] === load) delete this._localeLoads[vmType];
+      throw err;
+    } finally {
+      this._pendingCompiles.delete(load);
+    }
+    this._touchLocale(vmType);
+    return vmType;
+  };
+
+  /**
+   * Loads the templates of a locale for every compile so far.  Files compiled
+   * for the locale before, e.g. until it was released, are loaded from the output
+   * directory, only stale ones are compiled again.
+   * @param {string} vmType
+   * @return {Promise}
+   * @private
+   */
+  _loadLocale = async (vmType: string): Promise<void> => {
+    const start = Date.now();
+    let compiled = 0;
+    await Promise.all(
+      Object.keys(this._lazyCompiles).map(async outputDir => {
+        const { inputDir, files } = this._lazyCompiles[outputDir];
+        const staleFiles = await this._getStaleLocaleFiles(
+          inputDir,
+          outputDir,
+          files,
+          vmType
+        );
+        compiled += staleFiles.length;
+        if (staleFiles.length) {
+          await this._compileLocale(
+            inputDir,
+            outputDir,
+            files,
+            staleFiles,
+            vmType
+          );
+        } else if (!this._closed) {
+          await this._postCompileProcess(inputDir, outputDir, files, vmType);
+        }
+      })
+    );
+    if (this._closed) return;
+
+    this._loadedLocales.push(vmType);
+    this._getLogger().debug(
+      { vmType, compiled, duration: Date.now() - start },
+      'Loaded locale'
+    );
+    this._evictLocales();
+  };
+
+  /**
+   * Compiles files for a locale, emitting the lifecycle events of a compile.
+   * @param {string} inputDir
+   * @param {string} outputDir
+   * @param {Array.<string>} allFiles All files, expressed relative to inputDir
+   * @param {Array.<string>} dirtyFiles Dirty files, expressed relative to inputDir
+   * @param {string} vmType
+   * @return {Promise}
+   * @private
+   */
+  _compileLocale = async (
+    inputDir: string,
+    outputDir: string,
+    allFiles: Array<string>,
+    dirtyFiles: Array<string>,
+    vmType: string
+  ): Promise<void> => {
+    const start = Date.now();
+    const vmTypes = [vmType];
+    this._emitEvent('compileStart', {
+      inputDir,
+      outputDir,
+      files: dirtyFiles,
+      vmTypes,
+    });
+
+    let warnings;
+    try {
+      warnings = await this._compileTemplateFilesAsync(
+        inputDir,
+        outputDir,
+        allFiles,
+        dirtyFiles,
+        vmTypes
+      );
+    } catch (err) {
+      this._lastCompileError = err;
+      this._emitEvent('compileError', {
+        inputDir,
+        outputDir,
+        files: dirtyFiles,
+        vmTypes,
+        duration: Date.now() - start,
+        error: err,
+      });
+      throw err;
+    }
+
+    this._lastCompileError = null;
+    this._emitEvent('compileSuccess', {
+      inputDir,
+      outputDir,
+      files: dirtyFiles,
+      vmTypes,
+      duration: Date.now() - start,
+      warnings,
+    });
+  };
+
+  /**
+   * Lists the files whose output for a locale is missing, or was not built from
+   * the current sources and compiler according to the manifest of the locale.
+   * @param {string} inputDir
+   * @param {string} outputDir
+   * @param {Array.<string>} files
+   * @param {string} vmType
+   * @return {Promise<Array.<string>>}
+   * @private
+   */
+  _getStaleLocaleFiles = async (
+    inputDir: string,
+    outputDir: string,
+    files: Array<string>,
+    vmType: string
+  ): Promise<Array<string>> => {
+    const manifest = await readManifest(
+      this._getLocaleOutputDir(outputDir, vmType)
+    );
+    if (
+      !manifest ||
+      manifest.compilerHash !== (await this._getCompilerHash(inputDir))
+    ) {
+      return files;
+    }
+
+    const sourceHashes = await this._hashSources(inputDir, files);
+    const fresh = await Promise.all(
+      files.map(
+        file =>
+          !!sourceHashes[file] &&
+          manifest.files[file] === sourceHashes[file] &&
+          promisify(fs.stat)(this._getOutputFile(outputDir, file, vmType)).then(
+            () => true,
+            () => false
+          )
+      )
+    );
+    return files.filter((file, i) => !fresh[i]);
+  };
+
+  /**
+   * Releases the least recently used locales beyond `maxLoadedLocales`, except
+   * the most recently used one and those with pending renders.
+   * @private
+   */
+  _evictLocales = () => {
+    const max = this._options.maxLoadedLocales;
+    if (!(max > 0)) return;
+    const released = this._loadedLocales
+      .slice(0, -1)
+      .filter(vmType => !this._pinnedLocales[vmType])
+      .slice(0, Math.max(this._loadedLocales.length - max, 0));
+    released.forEach(vmType => {
+      this._loadedLocales.splice(this._loadedLocales.indexOf(vmType), 1);
+      delete this._vmContexts[vmType];
+      delete this._compiledSources[vmType];
+      delete this._localeLoads[vmType];
+      this._getLogger().debug({ vmType }, 'Released locale');
+    });
+  };
+
+  /**
+   * Marks a locale as the most recently used one.
+   * @param {string} vmType
+   * @private
+   */
+  _touchLocale = (vmType: string) => {
+    const index = this._loadedLocales.indexOf(vmType);
+    if (index === -1) return;
+    this._loadedLocales.splice(index, 1);
+    this._loadedLocales.push(vmType);
+  };
+
+  /**
+   * Checks that the templates of a vm type can be rendered synchronously.
+   * @param {string} vmType
+   * @return {string} The vm type.
+   * @private
+   */
+  _useVmType = (vmType: string): string => {
+    if (!this._isLazyLocale(vmType)) return vmType;
+    if (this._loadedLocales.indexOf(vmType) === -1) {
+      throw new Error(
+        `soynode: Templates for [${vmType}] are not loaded, use renderAsync or ensureLocale first`
+      );
+    }
+    this._touchLocale(vmType);
+    return vmType;
+  };
+
+  /**
+   * @param {string} vmType
+   * @return {boolean} Whether the vm type is a locale loaded on demand.
+   * @private
+   */
+  _isLazyLocale = (vmType: string): boolean =>
+    !!this._options.lazyLocales && this._options.locales.indexOf(vmType) !== -1;
+
+  /**
+   * The error of the last compile, or null if it succeeded or none ran yet.
+   * @return {?Error}
+   */
+  getLastCompileError = (): ?Error => this._lastCompileError;
+
+  /**
+   * Whether templates have been loaded for a vm type, or for any if none is given.
+   * @param {string=} vmType
+   * @return {boolean}
+   */
+  hasLoadedTemplates = (vmType: ?string): boolean =>
+    Object.keys(this._vmContexts)
+      .filter(type => !vmType || type === vmType)
+      .some(type => this._vmContexts[type].isLoaded());
+
   /**
    * Gets the vm context for the given locale, or the default if no locale is given.
    *
@@ -173,24 +1213,36 @@ export default class SoyCompiler {
 
   /**
    * Compiles all soy files within the provided directory and loads them into memory.
+   * Rejects with a SoyCompileError if the compiler fails.
    * @param {string} inputDir
+   * @return {Promise<Array.<SoyDiagnostic>>} Warnings reported by the compiler.
    */
-  compileTemplates = async (inputDir: string): Promise<void> => {
+  compileTemplates = async (
+    inputDir: string
+  ): Promise<Array<SoyDiagnostic>> => {
     const emitter = new EventEmitter();
     this._compileTemplatesAndEmit(inputDir, emitter);
-    await promisify(emitter.once).bind(emitter)('compile');
+    return promisify(emitter.once).bind(emitter)('compile');
   };
 
   /**
    * Compiles all soy files within the provided array and loads them into memory.
+   * Rejects with a SoyCompileError if the compiler fails.
    * @param {Array.<string>} files
-   * @return {Promise}
+   * @return {Promise<Array.<SoyDiagnostic>>} Warnings reported by the compiler.
    */
-  compileTemplateFiles = async (files: Array<string>): Promise<void> => {
+  compileTemplateFiles = async (
+    files: Array<string>
+  ): Promise<Array<SoyDiagnostic>> => {
     const emitter = new EventEmitter();
     const outputDir = this._createOutputDir();
     const { inputDir } = this._options;
-    const dirtyFiles = await this._maybeUsePrecompiledFiles(outputDir, files);
+    await this._dependencyGraph.update(inputDir, files);
+    const dirtyFiles = await this._maybeUsePrecompiledFiles(
+      inputDir,
+      outputDir,
+      files
+    );
     this._maybeSetupDynamicRecompile(inputDir, outputDir, files, emitter);
     this._compileTemplateFilesAndEmit(
       inputDir,
@@ -200,9 +1252,58 @@ export default class SoyCompiler {
       emitter
     );
 
-    await promisify(emitter.once).bind(emitter)('compile');
+    return promisify(emitter.once).bind(emitter)('compile');
   };
 
+  /**
+   * Stops watching files, cancels pending recompiles, stops the compiler daemon
+   * and releases the loaded templates.  Resolves once running compiles have
+   * completed.  The compiler can not be used afterwards.
+   * @param {{eraseOutput: (boolean|undefined)}=} options With `eraseOutput`, the
+   *     output directories written to by this compiler are deleted.
+   * @return {Promise}
+   */
+  close = async (options: { eraseOutput?: boolean } = {}): Promise<void> => {
+    this._closed = true;
+
+    Object.keys(this._watches).forEach(file => fs.unwatchFile(file));
+    this._watches = {};
+    Object.keys(this._directoryWatchers).forEach(dir =>
+      this._directoryWatchers[dir].close()
+    );
+    this._directoryWatchers = {};
+
+    await Promise.all(
+      Array.from(this._pendingCompiles).map(compile => compile.catch(() => {}))
+    );
+
+    if (this._compilerDaemon) {
+      this._compilerDaemon.close();
+      this._compilerDaemon = null;
+    }
+    this._vmContexts = {};
+    this._compiledSources = {};
+    this._lazyCompiles = {};
+    this._loadedLocales = [];
+    this._localeLoads = {};
+    this._pinnedLocales = {};
+    this._dependencyGraph = new SoyDependencyGraph();
+
+    const outputDirs = Object.keys(this._outputDirs);
+    this._outputDirs = {};
+    if (options.eraseOutput) {
+      await Promise.all(outputDirs.map(dir => clean(dir, this._getLogger())));
+    }
+  };
+
+  /**
+   * Alias of close().
+   * @param {{eraseOutput: (boolean|undefined)}=} options
+   * @return {Promise}
+   */
+  dispose = (options: { eraseOutput?: boolean } = {}): Promise<void> =>
+    this.close(options);
+
   /**
    * Resolves the output directory from the current options.
    * @return {string}
@@ -215,6 +1316,7 @@ export default class SoyCompiler {
       const timeDirectory = new Date().toISOString().replace(/:/g, '_');
       dir = path.join(dir, timeDirectory);
     }
+    this._outputDirs[dir] = true;
     return dir;
   };
 
@@ -236,18 +1338,142 @@ export default class SoyCompiler {
     dirtyFiles: Array<string>,
     emitter: EventEmitter
   ) => {
+    if (this._closed) {
+      return emitCompile(
+        emitter,
+        this._getLogger(),
+        new Error('soynode: Compiler is closed')
+      );
+    }
+
+    const compile = this._compileAndEmit(
+      inputDir,
+      outputDir,
+      allFiles,
+      dirtyFiles,
+      emitter
+    );
+    this._pendingCompiles.add(compile);
+    try {
+      return await compile;
+    } finally {
+      this._pendingCompiles.delete(compile);
+    }
+  };
+
+  /**
+   * @see _compileTemplateFilesAndEmit
+   * @private
+   */
+  _compileAndEmit = async (
+    inputDir: string,
+    outputDir: string,
+    allFiles: Array<string>,
+    dirtyFiles: Array<string>,
+    emitter: EventEmitter
+  ) => {
+    const start = Date.now();
+    if (this._options.lazyLocales) {
+      this._lazyCompiles[outputDir] = { inputDir, files: allFiles };
+    }
+    const vmTypes = this._getCompiledVmTypes();
+    this._emitEvent('compileStart', {
+      inputDir,
+      outputDir,
+      files: dirtyFiles,
+      vmTypes,
+    });
+
+    let warnings;
     try {
-      await this._compileTemplateFilesAsync(
+      warnings = await this._compileTemplateFilesAsync(
         inputDir,
         outputDir,
         allFiles,
-        dirtyFiles
+        dirtyFiles,
+        vmTypes
       );
     } catch (err) {
-      return emitCompile(emitter, err);
+      this._lastCompileError = err;
+      this._emitEvent('compileError', {
+        inputDir,
+        outputDir,
+        files: dirtyFiles,
+        vmTypes,
+        duration: Date.now() - start,
+        error: err,
+      });
+      return emitCompile(emitter, this._getLogger(), err);
+    }
+
+    if (this._options.lazyLocales && !this._closed) {
+      vmTypes
+        .filter(vmType => this._loadedLocales.indexOf(vmType) === -1)
+        .forEach(vmType => this._loadedLocales.push(vmType));
+      this._evictLocales();
     }
+    this._lastCompileError = null;
+    this._getLogger().debug(
+      { inputDir, files: dirtyFiles, vmTypes, duration: Date.now() - start },
+      'Compiled templates'
+    );
+    this._emitEvent('compileSuccess', {
+      inputDir,
+      outputDir,
+      files: dirtyFiles,
+      vmTypes,
+      duration: Date.now() - start,
+      warnings,
+    });
+    return this._finalizeCompileTemplates(outputDir, emitter, warnings);
+  };
 
-    return this._finalizeCompileTemplates(outputDir, emitter);
+  /**
+   * Emits a lifecycle event. Swallows any errors thrown by the listeners.
+   * @param {string} event
+   * @param {Object} payload
+   * @private
+   */
+  _emitEvent = (event: string, payload: Object) => {
+    try {
+      this.emit(event, payload);
+    } catch (e) {
+      this._getLogger().error({ err: e, event }, 'Event listener error');
+    }
+  };
+
+  /**
+   * The logger configured by the `logger` option.
+   * @return {SoyLogger}
+   * @private
+   */
+  _getLogger = (): SoyLogger => this._logger;
+
+  /**
+   * The vm types compiled for the current options.
+   * @return {Array.<string>}
+   * @private
+   */
+  _getVmTypes = (): Array<string> => {
+    const { locales } = this._options;
+    return locales && locales.length > 0
+      ? locales.slice()
+      : [DEFAULT_VM_CONTEXT];
+  };
+
+  /**
+   * The vm types a compile builds: all of them, or with `lazyLocales` the
+   * locales loaded so far.  Until one is loaded that is the first locale, so that
+   * compiles still check the templates.
+   * @return {Array.<string>}
+   * @private
+   */
+  _getCompiledVmTypes = (): Array<string> => {
+    const { lazyLocales, locales } = this._options;
+    if (!lazyLocales || locales.length === 0) return this._getVmTypes();
+    return this._loadedLocales.length > 0
+      ? this._loadedLocales.slice()
+      : [locales[0]];
   };
 
   /**
@@ -257,29 +1483,133 @@ export default class SoyCompiler {
    * @param {string} outputDir
    * @param {Array.<string>} allFiles All files, expressed relative to inputDir
    * @param {Array.<string>} dirtyFiles Dirty files, expressed relative to inputDir
-   * @return {Promise}
+   * @param {Array.<string>=} compiledVmTypes The vm types to compile, all of them
+   *     by default.
+   * @return {Promise<Array.<SoyDiagnostic>>} Warnings reported by the compiler.
+   * @private
+   */
+  _compileTemplateFilesAsync = async (
+    inputDir: string,
+    outputDir: string,
+    allFiles: Array<string>,
+    dirtyFiles: Array<string>,
+    compiledVmTypes: Array<string> = this._getVmTypes()
+  ): Promise<Array<SoyDiagnostic>> => {
+    const options = this._options;
+    const logger = this._getLogger();
+    const lazy = !!options.lazyLocales && options.locales.length > 0;
+    let outputPathFormat = path.join(
+      outputDir,
+      '{INPUT_DIRECTORY}',
+      '{INPUT_FILE_NAME}.js'
+    );
+    if (options.locales && options.locales.length > 1) {
+      outputPathFormat = path.join(
+        outputDir,
+        '{LOCALE}',
+        '{INPUT_DIRECTORY}',
+        '{INPUT_FILE_NAME}.js'
+      );
+    }
+
+    const args = this._getCompilerFlags(
+      lazy ? compiledVmTypes : options.locales
+    ).concat(['--outputPathFormat', outputPathFormat]);
+
+    // Hash the sources before compiling, so a change made during the compile
+    // invalidates the output.
+    const sourceHashes = await this._hashSources(inputDir, dirtyFiles);
+
+    // Compile the shards in parallel, each one gets its own list of files.
+    const shards = await this._shardFiles(inputDir, dirtyFiles);
+    const results = await Promise.all(
+      shards.map(shard =>
+        this._runCompiler(SOY_TO_JS_COMPILER, args.concat(shard), inputDir)
+      )
+    );
+
+    const failed = results.some(result => result.failed);
+    const stderr = results.map(result => result.stderr).join('');
+    const diagnostics = [].concat(
+      ...(await Promise.all(
+        results.map(result =>
+          parseDiagnostics(result.stderr, inputDir, result.failed)
+        )
+      ))
+    );
+    if (failed) {
+      const err = new SoyCompileError(diagnostics, stderr);
+      logger.error({ inputDir, files: dirtyFiles, diagnostics }, err.message);
+      throw err;
+    }
+    const warnings = diagnostics.filter(d => d.severity === 'warning');
+    warnings.forEach(warning =>
+      logger.warn(
+        { file: warning.file, line: warning.line },
+        formatDiagnostic(warning)
+      )
+    );
+
+    // The manifest describes the output of all locales.  With lazyLocales, the
+    // locales are compiled at different times, so each one has its own.
+    try {
+      const compilerHash = await this._getCompilerHash(inputDir);
+      const manifestDirs = lazy
+        ? compiledVmTypes.map(vmType =>
+            this._getLocaleOutputDir(outputDir, vmType)
+          )
+        : [outputDir];
+      await Promise.all(
+        manifestDirs.map(dir => updateManifest(dir, compilerHash, sourceHashes))
+      );
+    } catch (err) {
+      logger.warn({ err, outputDir }, 'Error writing build manifest');
+    }
+
+    const vmTypes = [...compiledVmTypes]; // clone
+
+    if (options.moduleFormat) {
+      await this._writeModules(
+        inputDir,
+        outputDir,
+        allFiles,
+        dirtyFiles,
+        vmTypes
+      );
+    }
+
+    const next = async (): Promise<boolean> => {
+      // Don't load templates into a compiler that was closed meanwhile.
+      if (vmTypes.length === 0 || this._closed) {
+        return true;
+      }
+      await this._postCompileProcess(
+        inputDir,
+        outputDir,
+        allFiles,
+        vmTypes.pop()
+      );
+      return next();
+    };
+
+    await next();
+    return warnings;
+  };
+
+  /**
+   * Builds the compiler flags for the current options, without the output path.
+   * @param {Array.<string>=} locales The locales to compile, the `locales` option
+   *     by default.
+   * @return {Array.<string>}
    * @private
    */
-  _compileTemplateFilesAsync = async (
-    inputDir: string,
-    outputDir: string,
-    allFiles: Array<string>,
-    dirtyFiles: Array<string>
-  ): Promise<void> => {
+  _getCompilerFlags = (
+    locales: ?Array<string> = this._options.locales
+  ): Array<string> => {
     const options = this._options;
-    let outputPathFormat = path.join(
-      outputDir,
-      '{INPUT_DIRECTORY}',
-      '{INPUT_FILE_NAME}.js'
-    );
 
-    // Arguments for running the soy compiler via java.
-    let args = [
-      '-classpath',
-      [options.soyJarPath].concat(options.classpath).join(path.delimiter),
-      'com.google.template.soy.SoyToJsSrcCompiler',
-      '--shouldGenerateJsdoc',
-    ];
+    // Arguments for running the soy compiler.
+    const args = ['--shouldGenerateJsdoc'];
 
     // Handling soy compiler options.
     if (options.shouldGenerateJsdoc) {
@@ -292,6 +1622,10 @@ export default class SoyCompiler {
       args.push('--shouldProvideRequireJsFunctions');
     }
 
+    if (options.codeStyle) {
+      args.push('--codeStyle', options.codeStyle);
+    }
+
     if (options.cssHandlingScheme !== undefined) {
       args.push('--cssHandlingScheme', options.cssHandlingScheme);
     }
@@ -300,17 +1634,8 @@ export default class SoyCompiler {
       args.push('--pluginModules', options.pluginModules.join(','));
     }
 
-    if (options.locales && options.locales.length > 0) {
-      args.push('--locales', options.locales.join(','));
-
-      if (options.locales.length > 1) {
-        outputPathFormat = path.join(
-          outputDir,
-          '{LOCALE}',
-          '{INPUT_DIRECTORY}',
-          '{INPUT_FILE_NAME}.js'
-        );
-      }
+    if (locales && locales.length > 0) {
+      args.push('--locales', locales.join(','));
     }
 
     if (options.messageFilePathFormat) {
@@ -325,66 +1650,159 @@ export default class SoyCompiler {
       args.push('--protoFileDescriptors', options.protoFileDescriptors);
     }
 
-    args.push('--outputPathFormat', outputPathFormat);
+    return args;
+  };
 
-    // List of files
-    args = args.concat(dirtyFiles);
+  /**
+   * Hashes everything besides the sources that affects the compiled output: the
+   * compiler flags, the compiler jars and the message files.
+   * @param {string} inputDir Directory relative paths are resolved from.
+   * @return {Promise<string>}
+   * @private
+   */
+  _getCompilerHash = async (inputDir: string): Promise<string> => {
+    const options = this._options;
+    const jars = [options.soyJarPath].concat(options.classpath);
 
-    let terminated = false;
+    let messageFiles = [];
+    if (options.messageFilePathFormat) {
+      const format = options.messageFilePathFormat;
+      messageFiles = (options.locales.length ? options.locales : ['']).map(
+        locale => getMessageFilePath(format, locale)
+      );
+    }
 
-    async function runCompiler(): Promise<void> {
-      return new Promise((resolve, reject) => {
-        if (!dirtyFiles.length) {
-          resolve();
-          return;
-        }
+    return hash(
+      JSON.stringify({
+        flags: this._getCompilerFlags(),
+        jars: await Promise.all(
+          jars.map(jar => hashStableFile(path.resolve(inputDir, jar)))
+        ),
+        messages: await Promise.all(
+          messageFiles.map(file => hashFile(path.resolve(inputDir, file)))
+        ),
+        moduleFormat: options.moduleFormat || undefined,
+      })
+    );
+  };
+
+  /**
+   * Hashes the sources of the given files.
+   * @param {string} inputDir
+   * @param {Array.<string>} files Files, expressed relative to inputDir
+   * @return {Promise<Object.<string, string>>} Hashes keyed by file, unreadable files are left out.
+   * @private
+   */
+  _hashSources = async (
+    inputDir: string,
+    files: Array<string>
+  ): Promise<{ [file: string]: string }> => {
+    const hashes = {};
+    await Promise.all(
+      files.map(async file => {
+        const sourceHash = await hashFile(path.resolve(inputDir, file));
+        if (sourceHash) hashes[file] = sourceHash;
+      })
+    );
+    return hashes;
+  };
 
-        let stderr = '';
+  /**
+   * Splits the files to compile into `compileConcurrency` shards.
+   * @param {string} inputDir
+   * @param {Array.<string>} files Files, expressed relative to inputDir
+   * @return {Promise<Array.<Array.<string>>>}
+   * @private
+   */
+  _shardFiles = async (
+    inputDir: string,
+    files: Array<string>
+  ): Promise<Array<Array<string>>> => {
+    const { compileConcurrency } = this._options;
+    if (!files.length) return [];
+    if (compileConcurrency <= 1 || files.length === 1) return [files];
+
+    const infos = {};
+    files.forEach(file => {
+      infos[file] = this._dependencyGraph.getFileInfo(
+        path.resolve(inputDir, file)
+      ) || { namespace: null, templates: [] };
+    });
+    return shardFiles(files, infos, compileConcurrency);
+  };
 
-        function onExit(exitCode) {
-          if (terminated) return;
+  /**
+   * Runs a main class of the soy jar, either in a new JVM or in the compiler daemon.
+   * @param {string} mainClass
+   * @param {Array.<string>} args
+   * @param {string} cwd Directory the compiler runs in.
+   * @return {Promise<{stderr: string, failed: boolean}>}
+   * @private
+   */
+  _runCompiler = (
+    mainClass: string,
+    args: Array<string>,
+    cwd: string
+  ): Promise<{ stderr: string, failed: boolean }> => {
+    const options = this._options;
+    const classpath = [options.soyJarPath]
+      .concat(options.classpath)
+      .join(path.delimiter);
 
-          if (exitCode !== 0) {
-            // Log all the errors and execute the callback with a generic error object.
-            terminated = true;
-            console.error('soynode: Compile error\n', stderr);
-            reject(new Error('Error compiling templates'));
-            return;
-          }
-          resolve();
-        }
+    if (options.compilerMode === 'daemon') {
+      return this._getCompilerDaemon(classpath, cwd).run(mainClass, args);
+    }
 
-        // Execute the command inside the input directory.
-        const cp = childProcess.spawn('java', args, { cwd: inputDir });
+    return new Promise(resolve => {
+      let stderr = '';
+      let terminated = false;
 
-        cp.stderr.on('data', data => {
-          stderr += data;
-        });
+      function onExit(exitCode) {
+        if (terminated) return;
+        terminated = true;
+        resolve({ stderr, failed: exitCode !== 0 });
+      }
 
-        cp.on('error', err => {
-          stderr += String(err);
-          onExit(1);
-        });
+      // Execute the command inside the input directory.
+      const cp = childProcess.spawn(
+        'java',
+        ['-classpath', classpath, mainClass].concat(args),
+        { cwd }
+      );
 
-        cp.on('exit', onExit);
+      cp.stderr.on('data', data => {
+        stderr += data;
       });
-    }
 
-    await runCompiler();
-    let vmTypes = [DEFAULT_VM_CONTEXT];
-    if (options.locales && options.locales.length > 0) {
-      vmTypes = [...options.locales]; // clone
-    }
+      cp.on('error', err => {
+        stderr += String(err);
+        onExit(1);
+      });
 
-    const next = async (): Promise<boolean> => {
-      if (vmTypes.length === 0) {
-        return true;
-      }
-      await this._postCompileProcess(outputDir, allFiles, vmTypes.pop());
-      return next();
-    };
+      cp.on('exit', onExit);
+    });
+  };
 
-    await next();
+  /**
+   * Returns the compiler daemon for the given classpath and directory, replacing
+   * a daemon started for different ones.
+   * @param {string} classpath
+   * @param {string} cwd
+   * @return {SoyCompilerDaemon}
+   * @private
+   */
+  _getCompilerDaemon = (classpath: string, cwd: string): SoyCompilerDaemon => {
+    const daemon = this._compilerDaemon;
+    if (daemon && daemon.matches(classpath, cwd)) return daemon;
+    if (daemon) daemon.close();
+
+    const newDaemon = new SoyCompilerDaemon(
+      classpath,
+      cwd,
+      this._options.daemonJvmArgs
+    );
+    this._compilerDaemon = newDaemon;
+    return newDaemon;
   };
 
   /**
@@ -403,13 +1821,18 @@ export default class SoyCompiler {
     try {
       files = await findFiles(inputDir, 'soy');
     } catch (err) {
-      return emitCompile(emitter, err);
+      return emitCompile(emitter, this._getLogger(), err);
     }
 
-    if (files.length === 0) return emitCompile(emitter);
+    if (files.length === 0) return emitCompile(emitter, this._getLogger());
     const outputDir = this._createOutputDir();
-    const dirtyFiles = await this._maybeUsePrecompiledFiles(outputDir, files);
-    this._maybeSetupDynamicRecompile(inputDir, outputDir, files, emitter);
+    await this._dependencyGraph.update(inputDir, files);
+    const dirtyFiles = await this._maybeUsePrecompiledFiles(
+      inputDir,
+      outputDir,
+      files
+    );
+    this._maybeSetupDynamicRecompile(inputDir, outputDir, files, emitter, true);
     return this._compileTemplateFilesAndEmit(
       inputDir,
       outputDir,
@@ -421,17 +1844,23 @@ export default class SoyCompiler {
 
   /**
    * Finalizes compile templates.
+   * @param {string} outputDir
    * @param {EventEmitter} emitter
+   * @param {Array.<SoyDiagnostic>=} warnings
    * @private
    */
-  _finalizeCompileTemplates = (outputDir: string, emitter: EventEmitter) => {
-    emitCompile(emitter);
+  _finalizeCompileTemplates = (
+    outputDir: string,
+    emitter: EventEmitter,
+    warnings: Array<SoyDiagnostic> = []
+  ) => {
+    emitCompile(emitter, this._getLogger(), null, warnings);
 
     if (
       this._options.eraseTemporaryFiles &&
       !this._options.allowDynamicRecompile
     ) {
-      clean(outputDir);
+      clean(outputDir, this._getLogger());
     }
   };
 
@@ -456,29 +1885,49 @@ export default class SoyCompiler {
     options: Object = {}
   ) => {
     const { vmType } = options;
+    const start = Date.now();
 
     const soyVmContext = this.getSoyVmContext(vmType);
-    return soyVmContext.loadCompiledTemplateFiles(files);
+    const result = await soyVmContext.loadCompiledTemplateFiles(files);
+    this._getLogger().debug(
+      { vmType: soyVmContext.getName(), files, duration: Date.now() - start },
+      'Loaded templates'
+    );
+    this._emitEvent('templatesReloaded', {
+      vmType: soyVmContext.getName(),
+      files,
+      duration: Date.now() - start,
+    });
+    return result;
   };
 
   /**
    * Adds a file system watch to the provided files, and executes the fn when changes are detected.
+   * When compiling a directory the whole directory is watched instead, so added and
+   * removed files are picked up too.
    * @param {string} inputDir
    * @param {string} outputDir
    * @param {Array.<string>} relativeFilePaths
    * @param {EventEmitter} emitter
+   * @param {boolean=} watchDirectory Whether to watch inputDir rather than the files.
    * @private
    */
   _maybeSetupDynamicRecompile = (
     inputDir: string,
     outputDir: string,
     relativeFilePaths: Array<string>,
-    emitter: EventEmitter
+    emitter: EventEmitter,
+    watchDirectory: boolean = false
   ) => {
     if (!this._options.allowDynamicRecompile) {
       return;
     }
 
+    if (watchDirectory) {
+      this._watchDirectory(inputDir, outputDir, relativeFilePaths, emitter);
+      return;
+    }
+
     let currentCompilePromise = Promise.resolve(true);
     let dirtyFileSet = {};
     relativeFilePaths.forEach(async relativeFile => {
@@ -491,58 +1940,264 @@ export default class SoyCompiler {
         fs.watchFile(file, {}, async () => {
           const now = Date.now();
           // Ignore spurious change events.
-          console.log('soynode: caught change to ', file);
+          this._getLogger().info({ file }, 'Caught change');
+          if (this._closed) return undefined;
           if (now - this._watches[file] < 1000) return true;
 
           dirtyFileSet[relativeFile] = true;
           this._watches[file] = now;
+          this._emitEvent('fileChanged', {
+            inputDir,
+            added: [],
+            changed: [relativeFile],
+            removed: [],
+          });
 
           // Wait until the previous compile has completed before starting a new one.
           try {
             await currentCompilePromise;
           } catch (err) {
-            console.warn('soynode: Error recompiling ', err);
+            this._getLogger().warn({ err, inputDir }, 'Error recompiling');
             return undefined;
           }
+          if (this._closed) return undefined;
 
-          const dirtyFiles = Object.keys(dirtyFileSet);
-          if (!dirtyFiles.length) {
+          const changedFiles = Object.keys(dirtyFileSet);
+          if (!changedFiles.length) {
             // Nothing needs to be recompiled because it was already caught by another job.
             currentCompilePromise = Promise.resolve(null);
             return undefined;
           }
           dirtyFileSet = {};
-          console.log(
-            'soynode: Recompiling templates due to change in %s',
-            dirtyFiles
+          this._getLogger().info(
+            { inputDir, files: changedFiles },
+            'Recompiling templates due to changes'
           );
 
-          currentCompilePromise = this._compileTemplateFilesAndEmit(
-            inputDir,
-            outputDir,
-            relativeFilePaths,
-            dirtyFiles,
-            emitter
-          );
+          currentCompilePromise = (async () => {
+            const dirtyFiles = await this._addDependentFiles(
+              inputDir,
+              relativeFilePaths,
+              changedFiles
+            );
+            return this._compileTemplateFilesAndEmit(
+              inputDir,
+              outputDir,
+              relativeFilePaths,
+              dirtyFiles,
+              emitter
+            );
+          })();
 
           return currentCompilePromise;
         });
 
         // Return the promise, for use when testing. fs.watchFile will just ignore this.
       } catch (e) {
-        console.warn(`soynode: Error watching ${file}`, e);
+        this._getLogger().warn({ err: e, file }, 'Error watching file');
       }
     });
   };
 
   /**
-   * Checks if precompiled files are available, using them as necessary.
+   * Watches a directory for added, changed and removed soy files, and recompiles
+   * the templates affected by them.
+   * @param {string} inputDir
+   * @param {string} outputDir
+   * @param {Array.<string>} files Files found at startup, expressed relative to inputDir
+   * @param {EventEmitter} emitter
+   * @private
+   */
+  _watchDirectory = (
+    inputDir: string,
+    outputDir: string,
+    files: Array<string>,
+    emitter: EventEmitter
+  ) => {
+    if (this._directoryWatchers[inputDir]) return;
+
+    // Updated in place as files come and go.
+    const allFiles = files.slice();
+    let currentCompilePromise = Promise.resolve();
+
+    const watcher = new SoyDirectoryWatcher(
+      inputDir,
+      'soy',
+      files,
+      changes => {
+        // Wait until the previous compile has completed before starting a new one.
+        currentCompilePromise = currentCompilePromise
+          .catch(err =>
+            this._getLogger().warn({ err, inputDir }, 'Error recompiling')
+          )
+          .then(() =>
+            this._recompileDirectoryChanges(
+              inputDir,
+              outputDir,
+              allFiles,
+              changes,
+              emitter
+            )
+          );
+        return currentCompilePromise;
+      },
+      this._options.recompileDebounceMs,
+      this._getLogger()
+    );
+    this._directoryWatchers[inputDir] = watcher;
+
+    watcher
+      .start()
+      .catch(err =>
+        this._getLogger().warn({ err, inputDir }, 'Error watching directory')
+      );
+  };
+
+  /**
+   * Recompiles after files were added, changed or removed in a watched directory.
+   * @param {string} inputDir
+   * @param {string} outputDir
+   * @param {Array.<string>} allFiles All files, updated in place
+   * @param {DirectoryChanges} changes
+   * @param {EventEmitter} emitter
+   * @return {Promise}
+   * @private
+   */
+  _recompileDirectoryChanges = async (
+    inputDir: string,
+    outputDir: string,
+    allFiles: Array<string>,
+    changes: DirectoryChanges,
+    emitter: EventEmitter
+  ) => {
+    if (this._closed) return undefined;
+    const { added, changed, removed } = changes;
+    this._getLogger().info(
+      { inputDir, added, changed, removed },
+      'Caught changes'
+    );
+    this._emitEvent('fileChanged', { inputDir, added, changed, removed });
+
+    const graph = this._dependencyGraph;
+    const removedNamespaces = removed
+      .map(file => graph.getFileInfo(path.resolve(inputDir, file)))
+      .map(info => info && info.namespace)
+      .filter(Boolean);
+
+    removed.forEach(file => {
+      const index = allFiles.indexOf(file);
+      if (index !== -1) allFiles.splice(index, 1);
+    });
+    allFiles.push(...added);
+
+    const dirtyFiles = await this._addDependentFiles(
+      inputDir,
+      allFiles,
+      changed.concat(added),
+      removed
+    );
+
+    // Namespaces may be shared with files that are still around.
+    const remainingNamespaces = graph
+      .getFiles()
+      .map(file => (graph.getFileInfo(file) || {}).namespace);
+    this._unloadNamespaces(
+      removedNamespaces.filter(ns => remainingNamespaces.indexOf(ns) === -1)
+    );
+    await this._removeOutputFiles(outputDir, removed);
+
+    return this._compileTemplateFilesAndEmit(
+      inputDir,
+      outputDir,
+      allFiles,
+      dirtyFiles,
+      emitter
+    );
+  };
+
+  /**
+   * Removes the namespaces of deleted files from all vm contexts.
+   * @param {Array.<string>} namespaces
+   * @private
+   */
+  _unloadNamespaces = (namespaces: Array<string>) => {
+    Object.keys(this._vmContexts).forEach(vmType => {
+      namespaces.forEach(namespace =>
+        this._vmContexts[vmType].unloadNamespace(namespace)
+      );
+    });
+  };
+
+  /**
+   * Deletes the compiled output of removed files for all vm types.
+   * @param {string} outputDir
+   * @param {Array.<string>} files
+   * @return {Promise}
+   * @private
+   */
+  _removeOutputFiles = async (outputDir: string, files: Array<string>) => {
+    const vmTypes = this._getVmTypes();
+    await Promise.all(
+      [].concat(
+        ...files.map(file =>
+          vmTypes.map(vmType =>
+            promisify(fs.remove)(this._getOutputFile(outputDir, file, vmType))
+          )
+        )
+      )
+    );
+  };
+
+  /**
+   * Re-parses changed files and adds the files that depend on them, before or
+   * after the change, so that their calls are checked and compiled again.
+   * @param {string} inputDir
+   * @param {Array.<string>} allFiles All files, expressed relative to inputDir
+   * @param {Array.<string>} changedFiles Changed files, expressed relative to inputDir
+   * @param {Array.<string>=} removedFiles Removed files, expressed relative to inputDir
+   * @return {Promise<Array.<string>>} The changed files followed by their dependents.
+   * @private
+   */
+  _addDependentFiles = async (
+    inputDir: string,
+    allFiles: Array<string>,
+    changedFiles: Array<string>,
+    removedFiles: Array<string> = []
+  ): Promise<Array<string>> => {
+    const graph = this._dependencyGraph;
+    const changed = changedFiles.map(file => path.resolve(inputDir, file));
+    const removed = removedFiles.map(file => path.resolve(inputDir, file));
+    const dependents = graph.getDependentFiles(changed.concat(removed));
+    removed.forEach(graph.removeFile);
+    await graph.update(inputDir, changedFiles);
+    dependents.push(...graph.getDependentFiles(changed));
+
+    const dependentFiles = allFiles.filter(
+      file =>
+        changedFiles.indexOf(file) === -1 &&
+        dependents.indexOf(path.resolve(inputDir, file)) !== -1
+    );
+    if (dependentFiles.length) {
+      this._getLogger().info(
+        { inputDir, files: dependentFiles },
+        'Recompiling dependent templates'
+      );
+    }
+    return changedFiles.concat(dependentFiles);
+  };
+
+  /**
+   * Checks if precompiled files are available, using them as necessary.  A precompiled
+   * file is only used if the manifest of precompiledDir shows it was built from the
+   * current source, with the current compiler, flags and message files.
+   * @param {string} inputDir
    * @param {string} outputDir
    * @param {Array.<string>} files
    * @return {Promise<Array.<string>>} Files that we could not find precompiled versions of.
    * @private
    */
   _maybeUsePrecompiledFiles = async (
+    inputDir: string,
     outputDir: string,
     files: Array<string>
   ) => {
@@ -557,30 +2212,67 @@ export default class SoyCompiler {
       vmTypes = options.locales.concat(); // clone
     }
 
+    const start = Date.now();
     try {
-      const filesMapping = files.map(async file => {
-        const ok = await this._preparePrecompiledFile(
-          outputDir,
-          precompiledDir,
-          file,
-          vmTypes
+      const manifest = await readManifest(precompiledDir);
+      const compilerHash = await this._getCompilerHash(inputDir);
+      if (!manifest || manifest.compilerHash !== compilerHash) {
+        this._getLogger().info(
+          { precompiledDir, hits: 0, misses: files.length },
+          'No usable precompiled files'
         );
+        return files;
+      }
+
+      const sourceHashes = await this._hashSources(inputDir, files);
+      const hits = {};
+      const filesMapping = files.map(async file => {
+        const sourceHash = sourceHashes[file];
+        const ok =
+          !!sourceHash &&
+          manifest.files[file] === sourceHash &&
+          (await this._preparePrecompiledFile(
+            outputDir,
+            precompiledDir,
+            file,
+            vmTypes
+          ));
+        if (ok) hits[file] = sourceHash;
         return ok ? '' : file;
       });
 
       // Return an array of files that don't have precompiled versions.
       const dirtyFiles = (await Promise.all(filesMapping)).filter(Boolean); // filter out empty strings.
 
+      if (outputDir !== precompiledDir && dirtyFiles.length !== files.length) {
+        await updateManifest(outputDir, compilerHash, hits);
+      }
+
+      this._getLogger().info(
+        {
+          precompiledDir,
+          hits: files.length - dirtyFiles.length,
+          misses: dirtyFiles.length,
+        },
+        'Precompiled files'
+      );
       if (dirtyFiles.length !== files.length) {
-        console.log(
-          'Loaded %s precompiled files',
-          files.length - dirtyFiles.length
-        );
+        this._emitEvent('precompiledReused', {
+          precompiledDir,
+          outputDir,
+          files: Object.keys(hits),
+          misses: dirtyFiles,
+          vmTypes,
+          duration: Date.now() - start,
+        });
       }
 
       return dirtyFiles;
     } catch (err) {
-      console.error('Failed loading precompiled files', err);
+      this._getLogger().error(
+        { err, precompiledDir },
+        'Failed loading precompiled files'
+      );
       return files;
     }
   };
@@ -636,9 +2328,16 @@ export default class SoyCompiler {
    * @param {string} outputDir
    * @param {Array.<string>} files
    * @param {string=} vmType optional type of the vm
+   * @param {?Object.<string, SoyLineMap>=} lineMaps Line maps of the files, to
+   *     write a source map for the concatenated file.
    * @private
    */
-  _concatOutput = (outputDir: string, files: Array<string>, vmType: string) => {
+  _concatOutput = (
+    outputDir: string,
+    files: Array<string>,
+    vmType: string,
+    lineMaps: ?{ [file: string]: SoyLineMap } = null
+  ) => {
     const options = this._options;
     let { concatFileName } = options;
     if (options.locales && options.locales.length > 1) {
@@ -647,13 +2346,152 @@ export default class SoyCompiler {
     concatFileName += '.soy.concat.js';
 
     const target = path.join(outputDir, concatFileName);
-    const concatenated = files
-      .map(file => fs.readFileSync(file).toString())
-      .join('');
+    // Each file starts on a new line, so its lines can be mapped.
+    const contents = files.map(file => {
+      const content = fs.readFileSync(file).toString();
+      return /\n$/.test(content) ? content : `${content}\n`;
+    });
+    let concatenated = contents.join('');
+
+    if (lineMaps) {
+      const sections = files.map((file, i) => {
+        const lineMap = lineMaps && lineMaps[file];
+        return lineMap
+          ? { ...lineMap, source: path.relative(outputDir, lineMap.source) }
+          : {
+              source: file,
+              lines: contents[i]
+                .split('\n')
+                .slice(1)
+                .map(() => null),
+            };
+      });
+      fs.writeFileSync(
+        `${target}.map`,
+        JSON.stringify(buildSourceMap(concatFileName, sections))
+      );
+      concatenated += `//# sourceMappingURL=${concatFileName}.map\n`;
+    }
 
     fs.writeFileSync(target, concatenated);
   };
 
+  /**
+   * Maps the lines of compiled files to their soy files, see the sourceMaps
+   * option.
+   * @param {string} inputDir
+   * @param {Array.<string>} files Files, expressed relative to inputDir
+   * @param {Array.<string>} outputFiles The compiled files, in the same order
+   * @return {Promise<Object.<string, SoyLineMap>>} Keyed by compiled file.
+   * @private
+   */
+  _mapTemplateLines = async (
+    inputDir: string,
+    files: Array<string>,
+    outputFiles: Array<string>
+  ): Promise<{ [file: string]: SoyLineMap }> => {
+    const lineMaps = {};
+    await Promise.all(
+      files.map(async (file, i) => {
+        const source = path.resolve(inputDir, file);
+        const info = this._dependencyGraph.getFileInfo(source);
+        if (!info) return;
+        try {
+          const code = await promisify(fs.readFile)(outputFiles[i], 'utf8');
+          lineMaps[outputFiles[i]] = mapTemplateLines(code, source, info);
+        } catch (err) {
+          this._getLogger().warn(
+            { err, file: outputFiles[i] },
+            'Error mapping compiled file'
+          );
+        }
+      })
+    );
+    return lineMaps;
+  };
+
+  /**
+   * Wraps freshly compiled files into modules of the `moduleFormat` option, and
+   * writes the runtime module they import.
+   * @param {string} inputDir
+   * @param {string} outputDir
+   * @param {Array.<string>} allFiles All files, expressed relative to inputDir
+   * @param {Array.<string>} dirtyFiles The compiled files, expressed relative to inputDir
+   * @param {Array.<string>} vmTypes
+   * @return {Promise}
+   * @private
+   */
+  _writeModules = async (
+    inputDir: string,
+    outputDir: string,
+    allFiles: Array<string>,
+    dirtyFiles: Array<string>,
+    vmTypes: Array<string>
+  ) => {
+    const options = this._options;
+    const format = options.moduleFormat;
+    if (!format) return;
+    const graph = this._dependencyGraph;
+    const runtimeFile = path.join(outputDir, RUNTIME_FILE_NAME);
+    await promisify(fs.writeFile)(
+      runtimeFile,
+      await buildRuntime(format, options.soyUtilsPath, options.contextJsPaths)
+    );
+
+    // Files are only imported if they are compiled with the importing file.
+    const compiled = {};
+    allFiles.forEach(file => {
+      compiled[path.resolve(inputDir, file)] = file;
+    });
+
+    const wrap = async (file: string, vmType: string) => {
+      const info = graph.getFileInfo(path.resolve(inputDir, file));
+      const namespace = info && info.namespace;
+      if (!info || !namespace) return;
+      const outputFile = this._getOutputFile(outputDir, file, vmType);
+      const importPath = target => {
+        const relative = path
+          .relative(path.dirname(outputFile), target)
+          .split(path.sep)
+          .join('/');
+        return relative.charAt(0) === '.' ? relative : `./${relative}`;
+      };
+
+      const dependencies = [];
+      graph.getFileDependencies(path.resolve(inputDir, file)).forEach(dep => {
+        const depInfo = graph.getFileInfo(dep);
+        const depNamespace = depInfo && depInfo.namespace;
+        if (!compiled[dep] || !depNamespace) return;
+        dependencies.push({
+          path: importPath(
+            this._getOutputFile(outputDir, compiled[dep], vmType)
+          ),
+          namespace: depNamespace,
+        });
+      });
+
+      const code = await promisify(fs.readFile)(outputFile, 'utf8');
+      await promisify(fs.writeFile)(
+        outputFile,
+        wrapModule(code, format, {
+          namespace,
+          templates: info.templates
+            .filter(template => !template.delegate && !template.private)
+            .map(template => template.name.slice(namespace.length + 1)),
+          vmType,
+          runtimePath: importPath(runtimeFile),
+          dependencies,
+        })
+      );
+    };
+
+    await Promise.all(
+      [].concat(
+        ...vmTypes.map(vmType => dirtyFiles.map(file => wrap(file, vmType)))
+      )
+    );
+  };
+
   /**
    * @param {string} outputDir
    * @param {string} file
@@ -663,16 +2501,25 @@ export default class SoyCompiler {
     outputDir: string,
     file: string,
     vmType: string = DEFAULT_VM_CONTEXT
-  ) => {
+  ) => `${path.join(this._getLocaleOutputDir(outputDir, vmType), file)}.js`;
+
+  /**
+   * @param {string} outputDir
+   * @param {string} vmType
+   * @return {string} The directory the files of the vm type are compiled to.
+   * @private
+   */
+  _getLocaleOutputDir = (outputDir: string, vmType: string): string => {
     const options = this._options;
     if (options.locales && options.locales.length > 1) {
-      return `${path.join(outputDir, vmType, file)}.js`;
+      return path.join(outputDir, vmType);
     }
-    return `${path.join(outputDir, file)}.js`;
+    return outputDir;
   };
 
   /**
    * Does all processing that happens after the compiling ends.
+   * @param {string} inputDir
    * @param {string} outputDir
    * @param {Array.<string>} files
    * @param {string=} vmType optional type of the vm
@@ -680,25 +2527,45 @@ export default class SoyCompiler {
    * @private
    */
   _postCompileProcess = async (
+    inputDir: string,
     outputDir: string,
     files: Array<string>,
     vmType: string = DEFAULT_VM_CONTEXT
   ) => {
     const options = this._options;
 
+    // Remember what was compiled, for listTemplates and buildBrowserBundle.
+    const sources = this._compiledSources[vmType] || {};
+    files.forEach(file => {
+      sources[path.resolve(inputDir, file)] = this._getOutputFile(
+        outputDir,
+        file,
+        vmType
+      );
+    });
+    this._compiledSources[vmType] = sources;
+
     // Build a list of paths that we expect as output of the soy compiler.
     const templatePaths = files.map(file =>
       this._getOutputFile(outputDir, file, vmType)
     );
 
+    // Modules are neither concatenated nor loaded into the VM context.
+    if (options.moduleFormat) return true;
+
+    const lineMaps = options.sourceMaps
+      ? await this._mapTemplateLines(inputDir, files, templatePaths)
+      : null;
+
     try {
       if (options.concatOutput)
-        this._concatOutput(outputDir, templatePaths, vmType);
+        this._concatOutput(outputDir, templatePaths, vmType, lineMaps);
     } catch (e) {
-      console.warn('soynode: Error concatenating files', e);
+      this._getLogger().warn({ err: e, vmType }, 'Error concatenating files');
     }
 
     if (options.loadCompiledTemplates) {
+      if (lineMaps) this.getSoyVmContext(vmType).setLineMaps(lineMaps);
       // Load the compiled templates into memory.
       return this.loadCompiledTemplateFiles(templatePaths, { vmType });
     }
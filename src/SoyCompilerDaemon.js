@@ -0,0 +1,168 @@
+// @flow
+// Copyright 2014. A Medium Corporation.
+
+import childProcess from 'child_process';
+import path from 'path';
+
+/**
+ * Java source of the worker, run through the single-file source launcher.
+ * @type {string}
+ */
+const DAEMON_SOURCE_PATH = path.join(__dirname, 'SoynodeCompilerDaemon.java');
+
+/**
+ * Printed by the worker on stderr after each job, followed by the exit code.
+ */
+const DONE_PATTERN = /\n?__soynode_done__ (-?\d+)\r?\n/;
+
+type CompilerResult = { stderr: string, failed: boolean };
+
+type Job = {
+  args: Array<string>,
+  resolve: CompilerResult => void,
+};
+
+/**
+ * A long-lived JVM that runs compiler main classes on request, sparing the JVM
+ * startup on every compile.  Jobs are run one at a time in the order they were
+ * submitted.  If the worker dies it is restarted for the next job.
+ */
+export default class SoyCompilerDaemon {
+  _classpath: string;
+
+  _cwd: string;
+
+  _jvmArgs: Array<string>;
+
+  _process: ?child_process$ChildProcess;
+
+  _queue: Array<Job>;
+
+  _current: ?Job;
+
+  _stderr: string;
+
+  /**
+   * @param {string} classpath Classpath of the compiler.
+   * @param {string} cwd Directory the worker runs in, relative input files are resolved from it.
+   * @param {Array.<string>=} jvmArgs Extra arguments for the JVM.
+   */
+  constructor(classpath: string, cwd: string, jvmArgs: Array<string> = []) {
+    this._classpath = classpath;
+    this._cwd = cwd;
+    this._jvmArgs = jvmArgs;
+    this._process = null;
+    this._queue = [];
+    this._current = null;
+    this._stderr = '';
+  }
+
+  /**
+   * Whether this worker can run jobs for the given classpath and directory.
+   * @param {string} classpath
+   * @param {string} cwd
+   * @return {boolean}
+   */
+  matches = (classpath: string, cwd: string): boolean =>
+    this._classpath === classpath && this._cwd === cwd;
+
+  /**
+   * Runs the main method of a class inside the worker.
+   * @param {string} mainClass
+   * @param {Array.<string>} args
+   * @return {Promise<{stderr: string, failed: boolean}>}
+   */
+  run = (mainClass: string, args: Array<string>): Promise<CompilerResult> =>
+    new Promise(resolve => {
+      this._queue.push({ args: [mainClass].concat(args), resolve });
+      this._next();
+    });
+
+  /**
+   * Stops the worker.  Pending jobs fail.
+   */
+  close = () => {
+    const cp = this._process;
+    this._process = null;
+    if (cp) cp.kill();
+    this._fail('soynode: Compiler daemon closed');
+    this._queue
+      .splice(0)
+      .forEach(job =>
+        job.resolve({ stderr: 'soynode: Compiler daemon closed', failed: true })
+      );
+  };
+
+  /**
+   * Starts the next job if the worker is idle.
+   * @private
+   */
+  _next = () => {
+    if (this._current || !this._queue.length) return;
+
+    const job = this._queue.shift();
+    const cp = this._process || this._spawn();
+    this._current = job;
+    this._stderr = '';
+
+    const line = job.args
+      .map(arg => Buffer.from(arg, 'utf8').toString('base64'))
+      .join(' ');
+    cp.stdin.write(`${line}\n`);
+  };
+
+  /**
+   * @return {ChildProcess}
+   * @private
+   */
+  _spawn = (): child_process$ChildProcess => {
+    const cp = childProcess.spawn(
+      'java',
+      this._jvmArgs.concat(['-classpath', this._classpath, DAEMON_SOURCE_PATH]),
+      { cwd: this._cwd }
+    );
+    this._process = cp;
+
+    cp.stderr.on('data', data => {
+      const job = this._current;
+      if (!job) return;
+      this._stderr += data;
+      const match = DONE_PATTERN.exec(this._stderr);
+      if (!match) return;
+
+      const stderr = this._stderr.slice(0, match.index);
+      this._current = null;
+      this._stderr = '';
+      job.resolve({ stderr, failed: Number(match[1]) !== 0 });
+      this._next();
+    });
+
+    const onDeath = (err: ?Error) => {
+      if (this._process !== cp) return;
+      this._process = null;
+      this._fail(err ? String(err) : 'soynode: Compiler daemon exited');
+      // Restarts the worker if there is more work.
+      this._next();
+    };
+    cp.on('error', onDeath);
+    cp.on('exit', () => onDeath());
+    // Writing to a worker that just died fails here, the job is failed by 'exit'.
+    cp.stdin.on('error', () => {});
+
+    return cp;
+  };
+
+  /**
+   * Fails the running job, if any.
+   * @param {string} reason
+   * @private
+   */
+  _fail = (reason: string) => {
+    const job = this._current;
+    if (!job) return;
+    const stderr = `${this._stderr}\n${reason}`;
+    this._current = null;
+    this._stderr = '';
+    job.resolve({ stderr, failed: true });
+  };
+}
@@ -0,0 +1,220 @@
+// @flow
+
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import parseSoyFile from './parseSoyFile';
+import type { SoyFileInfo, SoyTemplateInfo } from './parseSoyFile';
+
+/**
+ * Walks a graph breadth first and returns every node reachable from the start
+ * nodes, excluding the start nodes themselves.
+ * @param {Array.<string>} start
+ * @param {function(string): Array.<string>} edges
+ * @return {Array.<string>}
+ */
+function reachable(
+  start: Array<string>,
+  edges: string => Array<string>
+): Array<string> {
+  const seen = {};
+  start.forEach(node => {
+    seen[node] = true;
+  });
+  const result = [];
+  const queue = start.slice();
+  while (queue.length) {
+    edges(queue.shift()).forEach(node => {
+      if (seen[node]) return;
+      seen[node] = true;
+      result.push(node);
+      queue.push(node);
+    });
+  }
+  return result;
+}
+
+/**
+ * Lookups built from the parsed files, see SoyDependencyGraph#_getIndex.
+ */
+type SoyGraphIndex = {
+  templates: { [name: string]: Array<SoyTemplateInfo> },
+  namespaceFiles: { [namespace: string]: Array<string> },
+  delegateFiles: { [name: string]: Array<string> },
+};
+
+/**
+ * @param {Object.<string, Array>} map
+ * @param {string} key
+ * @param {*} value
+ */
+function addTo<T>(map: { [key: string]: Array<T> }, key: string, value: T) {
+  if (!map[key]) map[key] = [];
+  map[key].push(value);
+}
+
+/**
+ * Tracks the `{call}`, `{delcall}` and namespace dependencies between soy files.
+ * Files are keyed by absolute path.
+ */
+export default class SoyDependencyGraph {
+  /**
+   * Parsed soy files, keyed by absolute path.
+   * @type {Object.<string, SoyFileInfo>}
+   */
+  _files: { [file: string]: SoyFileInfo } = {};
+
+  /**
+   * Templates by name and files by the namespace and deltemplates they declare,
+   * built on first use after the files change.
+   * @type {?SoyGraphIndex}
+   */
+  _index: ?SoyGraphIndex = null;
+
+  /**
+   * Parses the given files and adds them to the graph.  Files that can not be
+   * read are removed from it.
+   * @param {string} inputDir
+   * @param {Array.<string>} files Files, expressed relative to inputDir
+   * @return {Promise}
+   */
+  update = async (inputDir: string, files: Array<string>): Promise<void> => {
+    await Promise.all(
+      files.map(async relativeFile => {
+        const file = path.resolve(inputDir, relativeFile);
+        try {
+          this._files[file] = parseSoyFile(
+            await promisify(fs.readFile)(file, 'utf8')
+          );
+        } catch (err) {
+          delete this._files[file];
+        }
+        this._index = null;
+      })
+    );
+  };
+
+  /**
+   * Removes a file from the graph.
+   * @param {string} file Absolute path
+   */
+  removeFile = (file: string) => {
+    delete this._files[file];
+    this._index = null;
+  };
+
+  /**
+   * @param {string} file Absolute path
+   * @return {?SoyFileInfo}
+   */
+  getFileInfo = (file: string): ?SoyFileInfo => this._files[file] || null;
+
+  /**
+   * @return {Array.<string>} Absolute paths of all files in the graph.
+   */
+  getFiles = (): Array<string> => Object.keys(this._files);
+
+  /**
+   * Gets the definitions of a template.  Deltemplates can have several.
+   * @param {string} templateName
+   * @return {Array.<SoyTemplateInfo>}
+   */
+  getTemplates = (templateName: string): Array<SoyTemplateInfo> =>
+    (this._getIndex().templates[templateName] || []).slice();
+
+  /**
+   * Gets all templates the given template calls, directly or indirectly.
+   * Delegate calls are reported by deltemplate name.
+   * @param {string} templateName
+   * @return {Array.<string>}
+   */
+  getDependencies = (templateName: string): Array<string> =>
+    reachable([templateName], name =>
+      this.getTemplates(name).reduce(
+        (names, template) => names.concat(template.calls, template.delcalls),
+        []
+      )
+    );
+
+  /**
+   * Gets all templates that call the given template, directly or indirectly.
+   * @param {string} templateName
+   * @return {Array.<string>}
+   */
+  getDependents = (templateName: string): Array<string> => {
+    const callers = {};
+    Object.keys(this._files).forEach(file => {
+      this._files[file].templates.forEach(template => {
+        template.calls.concat(template.delcalls).forEach(callee => {
+          callers[callee] = (callers[callee] || []).concat(template.name);
+        });
+      });
+    });
+    return reachable([templateName], name => callers[name] || []);
+  };
+
+  /**
+   * Gets all files that call into the given files, directly or indirectly.  A
+   * file depends on every file declaring the namespace of a template it calls,
+   * and on every file declaring a deltemplate it delegates to.
+   * @param {Array.<string>} files Absolute paths
+   * @return {Array.<string>} Absolute paths
+   */
+  getDependentFiles = (files: Array<string>): Array<string> => {
+    const dependents = {};
+    Object.keys(this._files).forEach(file => {
+      this.getFileDependencies(file).forEach(owner => {
+        dependents[owner] = (dependents[owner] || []).concat(file);
+      });
+    });
+
+    return reachable(files, file => dependents[file] || []);
+  };
+
+  /**
+   * Gets the files a file calls into directly: the files declaring the namespace
+   * of a template it calls, and the files declaring a deltemplate it delegates to.
+   * @param {string} file Absolute path
+   * @return {Array.<string>} Absolute paths
+   */
+  getFileDependencies = (file: string): Array<string> => {
+    const info = this._files[file];
+    if (!info) return [];
+
+    const { namespaceFiles, delegateFiles } = this._getIndex();
+    const owners = [];
+    const add = (owner: string) => {
+      if (owner !== file && owners.indexOf(owner) === -1) owners.push(owner);
+    };
+    info.templates.forEach(template => {
+      template.calls.forEach(call => {
+        (namespaceFiles[call.slice(0, call.lastIndexOf('.'))] || []).forEach(
+          add
+        );
+      });
+      template.delcalls.forEach(delcall => {
+        (delegateFiles[delcall] || []).forEach(add);
+      });
+    });
+    return owners;
+  };
+
+  /**
+   * @return {SoyGraphIndex}
+   * @private
+   */
+  _getIndex = (): SoyGraphIndex => {
+    if (this._index) return this._index;
+    const index = { templates: {}, namespaceFiles: {}, delegateFiles: {} };
+    Object.keys(this._files).forEach(file => {
+      const info = this._files[file];
+      if (info.namespace) addTo(index.namespaceFiles, info.namespace, file);
+      info.templates.forEach(template => {
+        addTo(index.templates, template.name, template);
+        if (template.delegate) addTo(index.delegateFiles, template.name, file);
+      });
+    });
+    this._index = index;
+    return index;
+  };
+}
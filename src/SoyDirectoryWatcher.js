@@ -0,0 +1,228 @@
+// @flow
+// Copyright 2014. A Medium Corporation.
+
+import fs from 'fs-extra';
+import path from 'path';
+import { promisify } from 'util';
+import findFiles from './findFiles';
+import type { SoyLogger } from './SoyLogger';
+
+/**
+ * Files added, changed and removed since the last flush, relative to the watched directory.
+ */
+export type DirectoryChanges = {
+  added: Array<string>,
+  changed: Array<string>,
+  removed: Array<string>,
+};
+
+/**
+ * Lists a directory and all directories below it, with the same rules as findFiles:
+ * only entries without an extension are considered directories.
+ * @param {string} directory
+ * @return {Promise<Array.<string>>} Absolute paths
+ */
+async function findDirectories(directory: string): Promise<Array<string>> {
+  const dirs = [];
+  const stack = [directory];
+
+  async function next(): Promise<Array<string>> {
+    if (stack.length === 0) {
+      return dirs;
+    }
+    const dir = stack.pop();
+    let dirContents;
+    try {
+      if (!(await promisify(fs.stat)(dir)).isDirectory()) return next();
+      dirContents = await promisify(fs.readdir)(dir);
+    } catch (err) {
+      // Removed while we were looking at it.
+      return next();
+    }
+
+    dirs.push(dir);
+    dirContents
+      .filter(file => file.indexOf('.') === -1)
+      .forEach(file => stack.push(path.join(dir, file)));
+    return next();
+  }
+  return next();
+}
+
+/**
+ * Watches a directory tree for added, changed and removed files with a given
+ * extension.  Events are collected and reported together once no new event came
+ * in for `debounceMs`.  Editors that save by writing a temporary file and renaming
+ * it over the original are reported as a change.
+ */
+export default class SoyDirectoryWatcher {
+  _directory: string;
+
+  _extension: string;
+
+  _debounceMs: number;
+
+  _logger: SoyLogger;
+
+  _onChange: DirectoryChanges => mixed;
+
+  _files: { [file: string]: boolean };
+
+  _touched: { [file: string]: boolean };
+
+  _watchers: { [dir: string]: { close: () => void } };
+
+  _timer: ?TimeoutID;
+
+  _closed: boolean;
+
+  /**
+   * @param {string} directory
+   * @param {string} extension
+   * @param {Array.<string>} files The files already known, relative to directory.
+   * @param {function(DirectoryChanges)} onChange
+   * @param {number} debounceMs
+   * @param {SoyLogger} logger
+   */
+  constructor(
+    directory: string,
+    extension: string,
+    files: Array<string>,
+    onChange: DirectoryChanges => mixed,
+    debounceMs: number,
+    logger: SoyLogger
+  ) {
+    this._directory = directory;
+    this._extension = extension;
+    this._onChange = onChange;
+    this._debounceMs = debounceMs;
+    this._logger = logger;
+    this._files = {};
+    files.forEach(file => {
+      this._files[file] = true;
+    });
+    this._touched = {};
+    this._watchers = {};
+    this._timer = null;
+    this._closed = false;
+  }
+
+  /**
+   * Starts watching the directory tree.
+   * @return {Promise}
+   */
+  start = async (): Promise<void> => {
+    await this._syncWatchers();
+  };
+
+  /**
+   * Reports the changes collected so far without waiting for the debounce.
+   * @return {Promise} Resolves with the result of the change handler.
+   */
+  flush = async (): Promise<mixed> => {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    if (this._closed) return undefined;
+
+    const touched = this._touched;
+    this._touched = {};
+
+    const files = await findFiles(this._directory, this._extension);
+    const current = {};
+    files.forEach(file => {
+      current[file] = true;
+    });
+
+    const changes = {
+      added: files.filter(file => !this._files[file]),
+      changed: files.filter(file => this._files[file] && touched[file]),
+      removed: Object.keys(this._files).filter(file => !current[file]),
+    };
+    this._files = current;
+
+    // Directories may have come and gone too.
+    await this._syncWatchers();
+
+    if (
+      this._closed ||
+      (!changes.added.length &&
+        !changes.changed.length &&
+        !changes.removed.length)
+    ) {
+      return undefined;
+    }
+    return this._onChange(changes);
+  };
+
+  /**
+   * Stops watching and drops pending changes.
+   */
+  close = () => {
+    this._closed = true;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    Object.keys(this._watchers).forEach(dir => this._watchers[dir].close());
+    this._watchers = {};
+  };
+
+  /**
+   * Watches all directories of the tree, and stops watching removed ones.
+   * @private
+   */
+  _syncWatchers = async () => {
+    const dirs = await findDirectories(this._directory);
+    if (this._closed) return;
+
+    Object.keys(this._watchers)
+      .filter(dir => dirs.indexOf(dir) === -1)
+      .forEach(dir => {
+        this._watchers[dir].close();
+        delete this._watchers[dir];
+      });
+
+    dirs.filter(dir => !this._watchers[dir]).forEach(dir => {
+      try {
+        const watcher = fs.watch(dir, {}, (eventType, filename) =>
+          this._onEvent(dir, filename)
+        );
+        watcher.on('error', () => {
+          // The directory went away, the next flush stops watching it.
+          this._schedule();
+        });
+        this._watchers[dir] = watcher;
+      } catch (err) {
+        this._logger.warn({ err, dir }, 'Error watching directory');
+      }
+    });
+  };
+
+  /**
+   * @param {string} dir
+   * @param {?string} filename
+   * @private
+   */
+  _onEvent = (dir: string, filename: ?string) => {
+    if (filename) {
+      const file = path.relative(this._directory, path.join(dir, filename));
+      this._touched[file] = true;
+    }
+    this._schedule();
+  };
+
+  /**
+   * Flushes once no new event came in for `debounceMs`.
+   * @private
+   */
+  _schedule = () => {
+    if (this._closed) return;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      this.flush().catch(err =>
+        this._logger.warn(
+          { err, directory: this._directory },
+          'Error handling file changes'
+        )
+      );
+    }, this._debounceMs);
+  };
+}
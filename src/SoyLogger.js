@@ -0,0 +1,85 @@
+// @flow
+
+/**
+ * A logger taking structured fields followed by a message, as pino and bunyan do.
+ * See resolveLogger for winston.
+ */
+export type SoyLogger = {
+  debug(fields: Object, message: string): mixed,
+  info(fields: Object, message: string): mixed,
+  warn(fields: Object, message: string): mixed,
+  error(fields: Object, message: string): mixed,
+};
+
+/**
+ * @param {string} method The console method to write to.
+ * @return {function(Object, string)}
+ */
+function toConsole(method: string) {
+  return (fields: Object, message: string) => {
+    const args = Object.keys(fields).length > 0 ? [fields] : [];
+    console[method](`soynode: ${message}`, ...args);
+  };
+}
+
+const noop = () => {};
+
+/**
+ * Logs to the console, prefixing every message with "soynode:".  Debug messages
+ * are dropped.
+ * @type {SoyLogger}
+ */
+export const consoleLogger: SoyLogger = {
+  debug: noop,
+  info: toConsole('log'),
+  warn: toConsole('warn'),
+  error: toConsole('error'),
+};
+
+/**
+ * Drops everything.
+ * @type {SoyLogger}
+ */
+export const silentLogger: SoyLogger = {
+  debug: noop,
+  info: noop,
+  warn: noop,
+  error: noop,
+};
+
+/**
+ * @param {Object} logger
+ * @return {boolean} Whether the logger is a winston logger, which takes the
+ *     message before the fields.
+ */
+function isWinston(logger: Object): boolean {
+  return typeof logger.add === 'function' && 'transports' in logger;
+}
+
+/**
+ * Resolves the `logger` option.  Levels missing from a custom logger fall back to
+ * its next less severe level, or its `log` method, and are dropped if it has
+ * neither.  Winston loggers are passed the message first.
+ * @param {?SoyLogger|boolean} logger null for the console, false for silence.
+ * @return {SoyLogger}
+ */
+export default function resolveLogger(logger: ?SoyLogger | boolean): SoyLogger {
+  if (logger === false) return silentLogger;
+  if (!logger || logger === true) return consoleLogger;
+
+  const custom: Object = logger;
+  const messageFirst = isWinston(custom);
+  const level = (...names) => {
+    const name = names.find(n => typeof custom[n] === 'function');
+    if (!name) return noop;
+    return messageFirst
+      ? (fields, message) => custom[name](message, fields)
+      : (fields, message) => custom[name](fields, message);
+  };
+  return {
+    debug: level('debug'),
+    info: level('info', 'log'),
+    warn: level('warn', 'info', 'log'),
+    error: level('error', 'warn', 'info', 'log'),
+  };
+}
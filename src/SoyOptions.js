@@ -40,6 +40,8 @@ export default class SoyOptions {
 
   allowDynamicRecompile: boolean;
 
+  recompileDebounceMs: number;
+
   loadCompiledTemplates: boolean;
 
   eraseTemporaryFiles: boolean;
@@ -54,6 +56,12 @@ export default class SoyOptions {
 
   cssHandlingScheme: ?string;
 
+  codeStyle: ?string;
+
+  moduleFormat: ?('commonjs' | 'esm');
+
+  sourceMaps: boolean;
+
   classpath: Array<string>;
 
   pluginModules: Array<string>;
@@ -66,6 +74,12 @@ export default class SoyOptions {
 
   locales: Array<string>;
 
+  localeFallbacks: { [locale: string]: string | Array<string> };
+
+  lazyLocales: boolean;
+
+  maxLoadedLocales: number;
+
   messageFilePathFormat: ?string;
 
   shouldDeclareTopLevelNamespaces: boolean;
@@ -76,6 +90,24 @@ export default class SoyOptions {
 
   soyUtilsPath: string;
 
+  compilerMode: 'process' | 'daemon';
+
+  daemonJvmArgs: Array<string>;
+
+  compileConcurrency: number;
+
+  logger: ?Object | false;
+
+  renderTimeoutMs: ?number;
+
+  validateParams: false | 'warn' | 'throw';
+
+  rethrowRenderErrors: boolean;
+
+  defaultInjectedData: ?Object;
+
+  injectedDataProviders: Array<(Object) => ?Object>;
+
   /**
    * A temporary directory where compiled .soy.js files will be stored after compilation.
    * @type {string}
@@ -118,6 +150,12 @@ export default class SoyOptions {
    */
   allowDynamicRecompile = false;
 
+  /**
+   * How long to wait for more file changes before recompiling a watched directory.
+   * @type {number}
+   */
+  recompileDebounceMs = 100;
+
   /**
    * Whether or not to load the compiled templates in the VM context.
    * @type {boolean}
@@ -172,6 +210,33 @@ export default class SoyOptions {
    */
   cssHandlingScheme = undefined;
 
+  /**
+   * The code style of the generated JS, 'concat' or 'stringbuilder'.  Templates
+   * generated with 'stringbuilder' append to the output sink of renderToStream,
+   * but are still rendered whole and then chunked after rendering.  Uses the
+   * compiler's default if not set.
+   * @type {?string}
+   */
+  codeStyle = null;
+
+  /**
+   * Wraps the compiled files into 'commonjs' or 'esm' modules, which can be used
+   * with require or a bundler instead of the VM context.  Each module exports the
+   * templates of its namespace and imports the closure and soy support code from
+   * `soyutils.js` in the output directory.  The modules are not loaded into the VM
+   * context and are not concatenated.
+   * @type {?string}
+   */
+  moduleFormat = null;
+
+  /**
+   * Whether to map the compiled code back to the soy files: the stack traces of
+   * render errors point at the soy files, and concatenated output gets a source
+   * map.  Lines are mapped to the declaration of their template.
+   * @type {boolean}
+   */
+  sourceMaps = false;
+
   /**
    * Additional classpath to pass to the soy template compiler. This makes adding plugins possible.
    * @type {Array<string>}
@@ -209,6 +274,32 @@ export default class SoyOptions {
    */
   locales = [];
 
+  /**
+   * Locales to fall back to when rendering for a locale templates were not
+   * compiled for, e.g. `{'pt-PT': ['pt-BR']}`.  Each locale also falls back to
+   * its truncation, `pt` for `pt-PT`, and finally to the default vm type.
+   * @type {Object.<string, (string|Array<string>)>}
+   */
+  localeFallbacks = {};
+
+  /**
+   * Whether to compile and load the templates of a locale only when a render
+   * first asks for it, with renderAsync or ensureLocale, instead of compiling
+   * all locales up front.  Compiles build the locales loaded so far, or the
+   * first one.  The synchronous render, get and renderToStream throw for
+   * locales that are not loaded.
+   * @type {boolean}
+   */
+  lazyLocales = false;
+
+  /**
+   * With lazyLocales, the number of locales to keep loaded.  The least recently
+   * used locale is released beyond it, and loaded again from the output
+   * directory on its next render.  0 keeps all of them.
+   * @type {number}
+   */
+  maxLoadedLocales = 0;
+
   /**
    * Path to the translation file to use, which can contain any of the placeholders
    * allowed on the --messageFilePathFormat option of SoyToJsSrcCompiler.jar.
@@ -237,6 +328,73 @@ export default class SoyOptions {
 
   soyUtilsPath = PATH_TO_SOY_UTILS;
 
+  /**
+   * How the compiler is run. 'process' starts a new JVM for every compile, 'daemon'
+   * keeps one JVM running and sends it the compile jobs. The daemon needs Java 11+.
+   * @type {string}
+   */
+  compilerMode = 'process';
+
+  /**
+   * Additional arguments for the JVM of the compiler daemon, e.g.
+   * `['-Djava.security.manager=allow']` on Java 18+.
+   * @type {Array<string>}
+   */
+  daemonJvmArgs = [];
+
+  /**
+   * Number of compiler processes to split a compile across. Files that share a
+   * namespace or call each other are always compiled by the same process.
+   * @type {number}
+   */
+  compileConcurrency = 1;
+
+  /**
+   * Receives soynode's log messages.  An object with `debug`, `info`, `warn` and
+   * `error` methods taking structured fields and a message, such as a pino or
+   * bunyan logger, or a winston logger, which is passed the message first.
+   * Missing levels fall back to less severe ones.  null logs to the console,
+   * false turns logging off.
+   * @type {?Object|boolean}
+   */
+  logger = null;
+
+  /**
+   * Maximum time in milliseconds a render may take before it is aborted with a
+   * SoyRenderTimeoutError.  null or 0 for no limit.
+   * @type {?number}
+   */
+  renderTimeoutMs = null;
+
+  /**
+   * Whether to check render data against the params declared by the templates,
+   * meant for development.  'warn' logs the problems, 'throw' throws a
+   * SoyParamError.
+   * @type {boolean|string}
+   */
+  validateParams = false;
+
+  /**
+   * Whether errors thrown by templates are rethrown as they are, instead of as a
+   * SoyRenderError naming the templates that were rendering.
+   * @type {boolean}
+   */
+  rethrowRenderErrors = false;
+
+  /**
+   * Injected data passed to every render, e.g. a CSP nonce or an asset host.
+   * Overridden by injected data providers and the injected data of a render.
+   * @type {?Object}
+   */
+  defaultInjectedData = null;
+
+  /**
+   * Functions computing injected data for each render, see
+   * SoyCompiler#addInjectedDataProvider.
+   * @type {Array<function(Object): ?Object>}
+   */
+  injectedDataProviders = [];
+
   /**
    * Sets options which affect how soynode operates.
    */
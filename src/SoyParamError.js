@@ -0,0 +1,26 @@
+// @flow
+
+/**
+ * Error raised with `validateParams: 'throw'` when the data of a render does not
+ * match the params the template declares.
+ */
+export default class SoyParamError extends Error {
+  templateName: string;
+
+  problems: Array<string>;
+
+  /**
+   * @param {string} templateName
+   * @param {Array.<string>} problems
+   */
+  constructor(templateName: string, problems: Array<string>) {
+    super(
+      `soynode: Invalid params for template [${templateName}]: ${problems.join(
+        ', '
+      )}`
+    );
+    this.name = 'SoyParamError';
+    this.templateName = templateName;
+    this.problems = problems;
+  }
+}
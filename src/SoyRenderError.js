@@ -0,0 +1,64 @@
+// @flow
+
+import { describeType } from './validateParams';
+
+/**
+ * Describes render data without its values: the type of each top-level key.
+ * @param {?Object} data
+ * @return {?Object.<string, string>}
+ */
+function summarizeData(data: ?Object): ?{ [key: string]: string } {
+  if (!data || typeof data !== 'object') return null;
+  const values = data;
+  const summary = {};
+  Object.keys(values).forEach(key => {
+    summary[key] = describeType(values[key]);
+  });
+  return summary;
+}
+
+/**
+ * Error raised when a template throws while rendering, wrapping the error thrown
+ * with the context of the render.  Set `rethrowRenderErrors` to get the original
+ * errors instead.
+ */
+export default class SoyRenderError extends Error {
+  templateName: string;
+
+  soyStack: Array<string>;
+
+  vmType: ?string;
+
+  dataSummary: ?{ [key: string]: string };
+
+  cause: mixed;
+
+  /**
+   * @param {string} templateName The template that was rendered.
+   * @param {*} cause The error thrown.
+   * @param {{soyStack: (Array.<string>|undefined), vmType: (?string|undefined),
+   *     data: (?Object|undefined)}=} details `soyStack` lists the templates that were
+   *     rendering, innermost first.  Only the keys and value types of `data` are
+   *     kept.
+   */
+  constructor(
+    templateName: string,
+    cause: mixed,
+    details: { soyStack?: Array<string>, vmType?: ?string, data?: ?Object } = {}
+  ) {
+    const message =
+      cause && typeof cause.message === 'string'
+        ? cause.message
+        : String(cause);
+    super(`soynode: Error rendering template [${templateName}]: ${message}`);
+    this.name = 'SoyRenderError';
+    this.templateName = templateName;
+    this.soyStack = details.soyStack || [];
+    this.vmType = details.vmType || null;
+    this.dataSummary = summarizeData(details.data);
+    this.cause = cause;
+    if (cause && typeof cause.stack === 'string') {
+      this.stack += `\nCaused by: ${cause.stack}`;
+    }
+  }
+}
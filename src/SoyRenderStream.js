@@ -0,0 +1,113 @@
+// @flow
+
+import { Readable } from 'stream';
+import SoyRenderError from './SoyRenderError';
+
+/**
+ * Receives the output of templates compiled with the 'stringbuilder' code style,
+ * which append to the string builder passed to them instead of returning a string.
+ */
+type OutputSink = {
+  append: (...parts: Array<mixed>) => OutputSink,
+};
+
+/**
+ * A readable stream of the output of a template.  The template is rendered on the
+ * first read, and its output is pushed in chunks of about `highWaterMark`
+ * characters as the consumer asks for them.  Templates render synchronously, so
+ * the whole output is held in memory until it has been read, as with render.
+ *
+ * Errors thrown by the template destroy the stream, with the name of the
+ * template in the message and on `templateName`, see SoyRenderError.
+ */
+export default class SoyRenderStream extends Readable {
+  /** The vm type the template is rendered with, if known. */
+  vmType: ?string;
+
+  _templateName: string;
+
+  _render: ?(OutputSink) => mixed;
+
+  _chunks: Array<string>;
+
+  _chunkSize: number;
+
+  _wrapErrors: boolean;
+
+  /**
+   * @param {string} templateName
+   * @param {function(OutputSink): *} render Renders the template into the sink
+   *     and returns the output it did not append to the sink.
+   * @param {Object=} options Options of the Readable.
+   * @param {boolean=} wrapErrors Whether to wrap errors not naming the template
+   *     into a SoyRenderError.
+   */
+  constructor(
+    templateName: string,
+    render: OutputSink => mixed,
+    options: Object = {},
+    wrapErrors: boolean = true
+  ) {
+    super({ ...options, encoding: 'utf8' });
+    this.vmType = null;
+    this._templateName = templateName;
+    this._render = render;
+    this._wrapErrors = wrapErrors;
+    this._chunks = [];
+    this._chunkSize = options.highWaterMark || 16 * 1024;
+  }
+
+  _read() {
+    const render = this._render;
+    if (render) {
+      this._render = null;
+      try {
+        this._renderChunks(render);
+      } catch (err) {
+        // Flow's stream declarations lack Readable#destroy.
+        (this: any).destroy(this._wrapError(err));
+        return;
+      }
+    }
+
+    while (this._chunks.length) {
+      if (!this.push(this._chunks.shift())) return;
+    }
+    this.push(null);
+  }
+
+  /**
+   * @param {function(OutputSink): *} render
+   * @private
+   */
+  _renderChunks(render: OutputSink => mixed) {
+    let pending = '';
+    const add = (part: mixed) => {
+      pending += String(part);
+      while (pending.length >= this._chunkSize) {
+        this._chunks.push(pending.slice(0, this._chunkSize));
+        pending = pending.slice(this._chunkSize);
+      }
+    };
+
+    const sink: OutputSink = {
+      append: (...parts) => {
+        parts.forEach(add);
+        return sink;
+      },
+    };
+    const output = render(sink);
+    if (output !== undefined && output !== null) add(output);
+    if (pending) this._chunks.push(pending);
+  }
+
+  /**
+   * @param {*} err
+   * @return {*} An error naming the template.
+   * @private
+   */
+  _wrapError(err: any): mixed {
+    if (!this._wrapErrors || (err && err.templateName)) return err;
+    return new SoyRenderError(this._templateName, err);
+  }
+}
@@ -0,0 +1,28 @@
+// @flow
+
+/**
+ * Error raised when rendering a template takes longer than allowed by
+ * `renderTimeoutMs`.
+ */
+export default class SoyRenderTimeoutError extends Error {
+  templateName: string;
+
+  timeoutMs: number;
+
+  vmType: string;
+
+  /**
+   * @param {string} templateName
+   * @param {number} timeoutMs
+   * @param {string} vmType
+   */
+  constructor(templateName: string, timeoutMs: number, vmType: string) {
+    super(
+      `soynode: Rendering template [${templateName}] timed out after ${timeoutMs}ms`
+    );
+    this.name = 'SoyRenderTimeoutError';
+    this.templateName = templateName;
+    this.timeoutMs = timeoutMs;
+    this.vmType = vmType;
+  }
+}
@@ -3,71 +3,16 @@
 
 import fs from 'fs';
 import vm from 'vm';
-import path from 'path';
 import { promisify } from 'util';
 import type SoyOptions from './SoyOptions';
+import SoyRenderTimeoutError from './SoyRenderTimeoutError';
+import SoyRenderError from './SoyRenderError';
+import CLOSURE_PATHS from './soySupportFiles';
+import { remapStack } from './soySourceMaps';
+import type { SoyLineMap } from './soySourceMaps';
 
 type pathToPromiseType = { path: string, contents: string };
 
-/**
- * All the dependencies of soyutils_usegoog.js
- *
- * In theory, it'd be more robust to load these with goog.require
- * but I haven't figured out how to make the bootstrapping work
- * in the VM environment.
- */
-const CLOSURE_PATHS = [
-  'closure/goog/base.js',
-  'closure/goog/deps.js',
-  'closure/goog/debug/error.js',
-  'closure/goog/dom/nodetype.js',
-  'closure/goog/string/string.js',
-  'closure/goog/asserts/asserts.js',
-  'closure/goog/array/array.js',
-  'closure/goog/dom/tagname.js',
-  'closure/goog/object/object.js',
-  'closure/goog/dom/tags.js',
-  'closure/goog/string/typedstring.js',
-  'closure/goog/string/const.js',
-  'closure/goog/html/safestyle.js',
-  'closure/goog/html/safestylesheet.js',
-  'closure/goog/fs/url.js',
-  'closure/goog/i18n/bidi.js',
-  'closure/goog/html/safeurl.js',
-  'closure/goog/html/trustedresourceurl.js',
-  'closure/goog/html/safehtml.js',
-  'closure/goog/html/safescript.js',
-  'closure/goog/html/uncheckedconversions.js',
-  'closure/goog/structs/structs.js',
-  'closure/goog/structs/collection.js',
-  'closure/goog/functions/functions.js',
-  'closure/goog/math/math.js',
-  'closure/goog/iter/iter.js',
-  'closure/goog/structs/map.js',
-  'closure/goog/structs/set.js',
-  'closure/goog/labs/useragent/util.js',
-  'closure/goog/labs/useragent/browser.js',
-  'closure/goog/labs/useragent/engine.js',
-  'closure/goog/labs/useragent/platform.js',
-  'closure/goog/useragent/useragent.js',
-  'closure/goog/debug/debug.js',
-  'closure/goog/dom/browserfeature.js',
-  'closure/goog/dom/safe.js',
-  'closure/goog/math/coordinate.js',
-  'closure/goog/math/size.js',
-  'closure/goog/dom/dom.js',
-  'closure/goog/structs/inversionmap.js',
-  'closure/goog/i18n/graphemebreak.js',
-  'closure/goog/format/format.js',
-  'closure/goog/html/legacyconversions.js',
-  'closure/goog/i18n/bidiformatter.js',
-  'closure/goog/soy/data.js',
-  'closure/goog/soy/soy.js',
-  'closure/goog/string/stringbuffer.js',
-].map(file =>
-  path.join(require.resolve('google-closure-library/package.json'), '..', file)
-);
-
 function pathsToPromises(paths): Array<Promise<pathToPromiseType>> {
   return paths.map(async pathToPromise => {
     const contents = await promisify(fs.readFile)(pathToPromise, 'utf8');
@@ -94,15 +39,42 @@ function getSupportFilePromises(
 }
 
 /**
- * Closure-templates keeps a global registry of all deltemplates.
- * We want to be able to reset the registry when we recompile.
- *
- * This is kind of a terrible solution, but it seems faster and more
- * robust than trying to reload all the support code every time.
+ * Name of the context global holding the template call of a render with a timeout.
  */
-const RESET_DELTEMPLATE_REGISTRY_CODE =
-  'soy.$$DELEGATE_REGISTRY_PRIORITIES_ = {};\n' +
-  'soy.$$DELEGATE_REGISTRY_FUNCTIONS_ = {};';
+const RENDER_SLOT = '__soynodeRender__';
+
+/**
+ * Calls the template in the render slot.  The call has to happen inside the
+ * script for the timeout of runInContext to apply to it.
+ */
+const RENDER_SCRIPT = new vm.Script(
+  `(function (r) { return r.template(r.data, r.outputSink, r.injectedData); })(${RENDER_SLOT});`,
+  { filename: 'soynode-render.' }
+);
+
+/**
+ * @param {*} err
+ * @return {boolean} Whether the error was thrown because a script timed out.
+ */
+function isTimeoutError(err: any): boolean {
+  return (
+    !!err &&
+    (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ||
+      /^Script execution timed out/.test(err.message))
+  );
+}
+
+/**
+ * Keeps the files that can still be read.
+ * @param {Array.<string>} paths
+ * @return {Promise<Array.<string>>}
+ */
+async function filterExisting(paths: Array<string>): Promise<Array<string>> {
+  const exists = await Promise.all(
+    paths.map(file => promisify(fs.access)(file).then(() => true, () => false))
+  );
+  return paths.filter((file, i) => exists[i]);
+}
 
 /**
  * @param {VmContext} context a vm context
@@ -155,6 +127,14 @@ export default class SoyVmContext {
 
   _contextInitialized: boolean;
 
+  _loadedFiles: Array<string>;
+
+  _loading: Promise<mixed>;
+
+  _lineMaps: { [file: string]: SoyLineMap };
+
+  _loadedGlobals: Array<string>;
+
   /**
    * @param {string} name
    * @param {SoyOptions} options
@@ -180,12 +160,29 @@ export default class SoyVmContext {
   /** @private {boolean} Whether the context has been initialized with soyutils */
   _contextInitialized = false;
 
+  /** @private {Array.<string>} Template files loaded into the context, in order. */
+  _loadedFiles = [];
+
+  /** @private {Promise} Resolves when the last load has completed. */
+  _loading = Promise.resolve();
+
+  /** @private {Object.<string, SoyLineMap>} Line maps of the template files. */
+  _lineMaps = {};
+
+  /** @private {Array.<string>} Globals defined by the loaded files. */
+  _loadedGlobals = [];
+
   /**
    * The unique name of the sandbox.
    * @return {string}
    */
   getName = (): string => this._name;
 
+  /**
+   * @return {boolean} Whether templates have been loaded into the context.
+   */
+  isLoaded = (): boolean => this._contextInitialized;
+
   /**
    * @return {Object} Get the internal vm context. Useful for injecting globals
    *     manually into the context.
@@ -201,10 +198,20 @@ export default class SoyVmContext {
     this._context = context;
   };
 
+  /**
+   * Sets the line maps of template files, with which the stack traces of render
+   * errors are rewritten to point at the soy files.
+   * @param {Object.<string, SoyLineMap>} lineMaps Keyed by template file.
+   */
+  setLineMaps = (lineMaps: { [file: string]: SoyLineMap }) => {
+    Object.assign(this._lineMaps, lineMaps);
+  };
+
   /**
    * Gets a reference to a template function.
    *
-   * Note: If dynamic recompilation is enabled the reference will not get updated.
+   * Note: The reference is not updated when the templates are reloaded, see
+   * SoyCompiler#get for a live reference.
    *
    * @param {string} templateName
    * @return {function (Object) : string}
@@ -235,34 +242,206 @@ export default class SoyVmContext {
     return this._templateCache[templateName];
   };
 
+  /**
+   * Renders a template.
+   * @param {string} templateName
+   * @param {?Object} data
+   * @param {?Object} injectedData
+   * @param {?number} timeoutMs Throws a SoyRenderTimeoutError if rendering takes
+   *     longer.  No limit if not set or 0.
+   * @param {?Object=} outputSink String builder templates compiled with the
+   *     'stringbuilder' code style append their output to.
+   * @return {*} The output of the template, a string or a soy content object.
+   */
+  render = (
+    templateName: string,
+    data: ?Object,
+    injectedData: ?Object,
+    timeoutMs: ?number,
+    outputSink: ?Object = null
+  ): mixed => {
+    const template: Function = this.get(templateName);
+    try {
+      if (!timeoutMs) return template(data, outputSink, injectedData);
+      return this._renderWithTimeout(
+        template,
+        templateName,
+        data,
+        injectedData,
+        timeoutMs,
+        outputSink
+      );
+    } catch (err) {
+      if (err instanceof SoyRenderTimeoutError) throw err;
+      let soyStack = [];
+      if (err && typeof err.stack === 'string') {
+        soyStack = this._getSoyStack(err.stack);
+        err.stack = remapStack(err.stack, this._lineMaps);
+      }
+      if (this._options.rethrowRenderErrors) throw err;
+      throw new SoyRenderError(templateName, err, {
+        soyStack,
+        vmType: this._name,
+        data,
+      });
+    }
+  };
+
+  /**
+   * Finds the templates in a stack trace.
+   * @param {string} stack
+   * @return {Array.<string>} Template names, innermost first.
+   * @private
+   */
+  _getSoyStack = (stack: string): Array<string> => {
+    const templates = [];
+    stack.split('\n').forEach(frame => {
+      const match = /^\s*at (?:(\S+) \()?([^\s()]+):(\d+):\d+\)?$/.exec(frame);
+      if (!match || this._loadedFiles.indexOf(match[2]) === -1) return;
+      const lineMap = this._lineMaps[match[2]];
+      const mapping = lineMap && lineMap.lines[Number(match[3]) - 1];
+      // Without line maps, V8's name for the function is used, which prefixes
+      // the type of the receiver.  Deltemplates only have generated names then.
+      const name = mapping
+        ? mapping.name
+        : (match[1] || '').replace(/^(new |Object\.)/, '');
+      if (name && templates[templates.length - 1] !== name) {
+        templates.push(name);
+      }
+    });
+    return templates;
+  };
+
+  /**
+   * Calls a template inside a script, so that the timeout applies to it.
+   * @param {Function} template
+   * @param {string} templateName
+   * @param {?Object} data
+   * @param {?Object} injectedData
+   * @param {number} timeoutMs
+   * @param {?Object} outputSink
+   * @return {*}
+   * @private
+   */
+  _renderWithTimeout = (
+    template: Function,
+    templateName: string,
+    data: ?Object,
+    injectedData: ?Object,
+    timeoutMs: number,
+    outputSink: ?Object
+  ): mixed => {
+    const context = this.getContext();
+    const previous = context[RENDER_SLOT];
+    context[RENDER_SLOT] = { template, data, injectedData, outputSink };
+    try {
+      return RENDER_SCRIPT.runInContext(context, { timeout: timeoutMs });
+    } catch (err) {
+      if (isTimeoutError(err)) {
+        throw new SoyRenderTimeoutError(templateName, timeoutMs, this._name);
+      }
+      throw err;
+    } finally {
+      context[RENDER_SLOT] = previous;
+    }
+  };
+
+  /**
+   * Removes a namespace and its templates, e.g. after its file was deleted.
+   * @param {string} namespace
+   */
+  unloadNamespace = (namespace: string) => {
+    if (!/^[\w$]+(\.[\w$]+)*$/.test(namespace)) return;
+
+    // Top level namespaces are declared with `var` and can't be deleted.
+    const code =
+      namespace.indexOf('.') === -1
+        ? `if (typeof ${namespace} != 'undefined') ${namespace} = undefined;`
+        : `try { delete ${namespace}; } catch (e) {}`;
+    vm.runInContext(
+      code,
+      this.getContext(),
+      // $FlowFixMe
+      'soynode-unload.'
+    );
+
+    Object.keys(this._templateCache)
+      .filter(name => name.indexOf(`${namespace}.`) === 0)
+      .forEach(name => delete this._templateCache[name]);
+  };
+
   /**
    * Loads an array of template files into memory.
+   *
+   * The first load evaluates the files in the current context.  Later loads build
+   * a fresh context with the files loaded before and the new ones, and swap it in
+   * once it is complete, so templates never render from a half loaded context.
+   * Previously loaded files that no longer exist are dropped, and globals
+   * injected by hand are carried over.
+   *
    * @param {Array.<string>} files
+   * @return {Promise<boolean>}
    */
-  loadCompiledTemplateFiles = async (
-    files: Array<string>
-  ): Promise<boolean> => {
-    const options = this._options;
+  loadCompiledTemplateFiles = (files: Array<string>): Promise<boolean> => {
+    // Loads run one after the other, so each one sees the files of the last.
+    const load = this._loading.then(() => this._loadFiles(files));
+    this._loading = load.catch(() => {});
+    return load;
+  };
 
-    // load the contextJsPaths into the context before the soy template JS
-    const filePromises = pathsToPromises(options.contextJsPaths.concat(files));
+  /**
+   * @param {Array.<string>} files
+   * @return {Promise<boolean>}
+   * @private
+   */
+  _loadFiles = async (files: Array<string>): Promise<boolean> => {
+    const options = this._options;
     const supportedFilePromises = getSupportFilePromises(options.soyUtilsPath);
 
+    let context: Object = this.getContext();
+    let loadedFiles: Array<string> = files;
     if (this._contextInitialized) {
-      vm.runInContext(
-        RESET_DELTEMPLATE_REGISTRY_CODE,
-        this.getContext(),
-        // $FlowFixMe
-        'soynode-reset.'
+      context = vm.createContext(this._getInjectedGlobals());
+      const previousFiles = await filterExisting(
+        this._loadedFiles.filter(file => files.indexOf(file) === -1)
       );
-    } else {
-      await loadFiles(this.getContext(), supportedFilePromises);
-      this._contextInitialized = true;
+      loadedFiles = previousFiles.concat(files);
     }
 
-    const finalResult = await loadFiles(this.getContext(), filePromises);
+    const injectedGlobals: Array<string> = Object.keys(context);
+    await loadFiles(context, supportedFilePromises);
+    // load the contextJsPaths into the context before the soy template JS
+    const finalResult = await loadFiles(
+      context,
+      pathsToPromises(options.contextJsPaths.concat(loadedFiles))
+    );
+
+    this._context = context;
+    this._contextInitialized = true;
+    this._loadedFiles = loadedFiles;
+    const loadedGlobals: Array<string> = Object.keys(context).filter(
+      key => injectedGlobals.indexOf(key) === -1
+    );
+    this._loadedGlobals = loadedGlobals;
     // Blow away the cache when all files have been loaded
     this._templateCache = {};
     return finalResult;
   };
+
+  /**
+   * The globals injected into the context by hand, e.g. through
+   * SoyCompiler#getVMContext, to carry over to the context of the next load.
+   * @return {Object}
+   * @private
+   */
+  _getInjectedGlobals = (): Object => {
+    const context = this.getContext();
+    const globals = {};
+    Object.keys(context).forEach(key => {
+      if (key !== RENDER_SLOT && this._loadedGlobals.indexOf(key) === -1) {
+        globals[key] = context[key];
+      }
+    });
+    return globals;
+  };
 }
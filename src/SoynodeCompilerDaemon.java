@@ -0,0 +1,108 @@
+// Copyright 2014. A Medium Corporation.
+
+import java.io.BufferedReader;
+import java.io.InputStreamReader;
+import java.io.PrintStream;
+import java.lang.reflect.InvocationTargetException;
+import java.nio.charset.StandardCharsets;
+import java.security.Permission;
+import java.util.Base64;
+
+/**
+ * Long-lived worker used by soynode's `compilerMode: 'daemon'`.
+ *
+ * Reads one job per line from stdin. A job is a space separated list of base64
+ * encoded arguments, the first one being the main class to run (for example
+ * com.google.template.soy.SoyToJsSrcCompiler). Everything the main class prints
+ * goes to stderr, followed by a line `__soynode_done__ <exitCode>`.
+ *
+ * Launched through the single-file source launcher, so it needs Java 11 or newer.
+ * On Java 18 and newer pass -Djava.security.manager=allow so calls to
+ * System.exit can be trapped instead of ending the worker.
+ */
+public final class SoynodeCompilerDaemon {
+  private static final String DONE_MARKER = "__soynode_done__";
+
+  /** Thrown instead of exiting the JVM when a main class calls System.exit. */
+  private static final class ExitTrappedException extends SecurityException {
+    private final int status;
+
+    ExitTrappedException(int status) {
+      super("System.exit(" + status + ")");
+      this.status = status;
+    }
+  }
+
+  private SoynodeCompilerDaemon() {}
+
+  public static void main(String[] args) throws Exception {
+    PrintStream err = System.err;
+    // Keep stdout quiet, the compilers print their progress to stderr anyway.
+    System.setOut(err);
+    installExitTrap();
+
+    BufferedReader in =
+        new BufferedReader(new InputStreamReader(System.in, StandardCharsets.UTF_8));
+    String line;
+    while ((line = in.readLine()) != null) {
+      if (line.isEmpty()) {
+        continue;
+      }
+      int status = runJob(decode(line));
+      err.println();
+      err.println(DONE_MARKER + " " + status);
+      err.flush();
+    }
+  }
+
+  private static void installExitTrap() {
+    try {
+      System.setSecurityManager(
+          new SecurityManager() {
+            @Override
+            public void checkPermission(Permission perm) {}
+
+            @Override
+            public void checkPermission(Permission perm, Object context) {}
+
+            @Override
+            public void checkExit(int status) {
+              throw new ExitTrappedException(status);
+            }
+          });
+    } catch (UnsupportedOperationException | SecurityException e) {
+      // The worker still works, but exits after each failing compile and gets restarted.
+      System.err.println("soynode: Unable to trap System.exit: " + e);
+    }
+  }
+
+  private static String[] decode(String line) {
+    String[] parts = line.trim().split(" ");
+    String[] decoded = new String[parts.length];
+    for (int i = 0; i < parts.length; i++) {
+      decoded[i] = new String(Base64.getDecoder().decode(parts[i]), StandardCharsets.UTF_8);
+    }
+    return decoded;
+  }
+
+  private static int runJob(String[] job) {
+    String[] mainArgs = new String[job.length - 1];
+    System.arraycopy(job, 1, mainArgs, 0, mainArgs.length);
+    try {
+      Class.forName(job[0]).getMethod("main", String[].class).invoke(null, (Object) mainArgs);
+      return 0;
+    } catch (InvocationTargetException e) {
+      Throwable cause = e.getCause();
+      if (cause instanceof ExitTrappedException) {
+        return ((ExitTrappedException) cause).status;
+      }
+      cause.printStackTrace();
+      return 1;
+    } catch (ExitTrappedException e) {
+      return e.status;
+    } catch (Exception e) {
+      e.printStackTrace();
+      return 1;
+    }
+  }
+}
@@ -0,0 +1,132 @@
+// @flow
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { promisify } from 'util';
+
+/**
+ * Name of the manifest written next to the compiled files.
+ * @type {string}
+ */
+export const MANIFEST_FILE = 'soynode-manifest.json';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Records what a directory of compiled files was built from.
+ */
+export type BuildManifest = {
+  version: number,
+  compilerHash: string,
+  files: { [file: string]: string },
+};
+
+/**
+ * Cache of file hashes keyed by path, for files that rarely change such as the
+ * compiler jar.
+ */
+const stableHashes: {
+  [file: string]: { mtime: number, size: number, hash: string },
+} = {};
+
+/**
+ * @param {string|Buffer} contents
+ * @return {string}
+ */
+export function hash(contents: string | Buffer): string {
+  return crypto
+    .createHash('sha1')
+    .update(contents)
+    .digest('hex');
+}
+
+/**
+ * Hashes a file, or returns null if it can not be read.
+ * @param {string} file
+ * @return {Promise<?string>}
+ */
+export async function hashFile(file: string): Promise<?string> {
+  try {
+    return hash(await promisify(fs.readFile)(file));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Hashes a file that rarely changes, reusing the previous hash while its size
+ * and modification time stay the same.
+ * @param {string} file
+ * @return {Promise<?string>}
+ */
+export async function hashStableFile(file: string): Promise<?string> {
+  let stats;
+  try {
+    stats = await promisify(fs.stat)(file);
+  } catch (err) {
+    return null;
+  }
+
+  const cached = stableHashes[file];
+  if (cached && cached.mtime === stats.mtimeMs && cached.size === stats.size) {
+    return cached.hash;
+  }
+
+  const fileHash = await hashFile(file);
+  if (fileHash) {
+    stableHashes[file] = {
+      mtime: stats.mtimeMs,
+      size: stats.size,
+      hash: fileHash,
+    };
+  }
+  return fileHash;
+}
+
+/**
+ * Reads the manifest of a directory of compiled files.
+ * @param {string} dir
+ * @return {Promise<?BuildManifest>} null if there is none, or it is unreadable.
+ */
+export async function readManifest(dir: string): Promise<?BuildManifest> {
+  try {
+    const manifest = JSON.parse(
+      await promisify(fs.readFile)(path.join(dir, MANIFEST_FILE), 'utf8')
+    );
+    return manifest && manifest.version === MANIFEST_VERSION ? manifest : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Adds source hashes to the manifest of a directory.  Entries of a manifest
+ * built with a different compiler configuration are dropped.
+ * @param {string} dir
+ * @param {string} compilerHash
+ * @param {Object.<string, string>} files Source hashes keyed by file.
+ * @return {Promise}
+ */
+export async function updateManifest(
+  dir: string,
+  compilerHash: string,
+  files: { [file: string]: string }
+): Promise<void> {
+  const existing = await readManifest(dir);
+  const manifest: BuildManifest = {
+    version: MANIFEST_VERSION,
+    compilerHash,
+    files: {
+      ...(existing && existing.compilerHash === compilerHash
+        ? existing.files
+        : {}),
+      ...files,
+    },
+  };
+  await promisify(fs.mkdirs)(dir);
+  await promisify(fs.writeFile)(
+    path.join(dir, MANIFEST_FILE),
+    JSON.stringify(manifest, null, 2)
+  );
+}
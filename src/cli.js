@@ -0,0 +1,550 @@
+#!/usr/bin/env node
+// @flow
+
+/**
+ * @fileoverview The soynode command, see `soynode --help`.
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import SoyCompiler from './SoyCompiler';
+import findFiles from './findFiles';
+import SoyCompileError, { formatDiagnostic } from './SoyCompileError';
+import type { SoyLogger } from './SoyLogger';
+
+const USAGE = `Usage: soynode <command> [options]
+
+Commands:
+  compile <inputDir>     Compile the templates of a directory.
+    --output-dir <dir>                 Where to write the compiled files (required).
+    --locales <a,b>                    Locales to translate the templates to.
+    --message-file-path-format <fmt>   Path of the translation files.
+    --concat                           Join the compiled files into one file.
+    --concat-file-name <name>          Name of the joined file.
+    --precompiled-dir <dir>            Reuse unchanged files from this directory.
+
+  bundle <inputDir>      Write a script for browsers per locale, holding the
+                         support code and the templates.
+    --output-dir <dir>                 Where to write the bundles (required).
+    --locales <a,b>                    Locales to translate the templates to.
+    --message-file-path-format <fmt>   Path of the translation files.
+    --include <a,b>                    Templates to bundle, * matches anything.
+    --exclude <a,b>                    Templates not to bundle.
+    --file-name <name>                 Name of the bundles.
+
+  render <templateName>  Render a template with JSON data read from stdin.
+    --input-dir <dir>                  Compile the templates of this directory first,
+    --compiled-dir <dir>               or load compiled templates from this directory.
+    --locale <locale>                  The locale to render in.
+    --data <json>                      Data to use instead of stdin.
+
+  extract <inputDir>     Extract the messages of a directory to an XLIFF file.
+    --output-file <file>               The file to write (required).
+    --source-locale <locale>           The locale of the templates, en by default.
+    --target-locale <locale>           The locale to translate to.
+
+  check <inputDir>       Compare the messages of a directory with the message
+                         file of each locale, failing if any is incomplete.
+    --locales <a,b>                    The locales to check.
+    --message-file-path-format <fmt>   Path of the translation files.
+
+  list <inputDir>        List the templates of a directory.
+    --locale <locale>                  List the templates compiled for a locale.
+
+Options of all commands:
+  --options <file>       A JSON file with SoyCompiler options.
+  --json                 Write the result as JSON.
+
+Exit codes: 0 on success, 1 if compiling, extracting or rendering failed or
+translations are incomplete, 2 on usage errors.
+`;
+
+/** Exit code on success. */
+export const EXIT_OK = 0;
+
+/** Exit code when a command failed or translations are incomplete. */
+export const EXIT_FAILURE = 1;
+
+/** Exit code for invalid arguments. */
+export const EXIT_USAGE = 2;
+
+/**
+ * Flags that don't take a value.
+ */
+const BOOLEAN_FLAGS = ['concat', 'json', 'help'];
+
+/**
+ * The streams of the command.
+ */
+type CliIo = {
+  stdin: any,
+  stdout: stream$Writable | tty$WriteStream,
+  stderr: stream$Writable | tty$WriteStream,
+};
+
+type ParsedArgs = {
+  command: ?string,
+  positional: Array<string>,
+  flags: { [flag: string]: string | boolean },
+};
+
+/**
+ * Raised for invalid arguments.
+ */
+class UsageError extends Error {}
+
+/**
+ * Splits arguments into the command, positional arguments and flags.  Flags are
+ * written as `--name value` or `--name=value`.
+ * @param {Array.<string>} argv
+ * @return {ParsedArgs}
+ */
+function parseArgs(argv: Array<string>): ParsedArgs {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.indexOf('--') === 0) {
+      const [name, value] = arg.slice(2).split(/=(.*)/);
+      if (value !== undefined) {
+        flags[name] = value;
+      } else if (BOOLEAN_FLAGS.indexOf(name) !== -1) {
+        flags[name] = true;
+      } else if (i + 1 < argv.length) {
+        i += 1;
+        flags[name] = argv[i];
+      } else {
+        throw new UsageError(`Missing value for --${name}`);
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { command: positional.shift(), positional, flags };
+}
+
+/**
+ * @param {ParsedArgs} args
+ * @param {string} name
+ * @return {?string}
+ */
+function stringFlag(args: ParsedArgs, name: string): ?string {
+  const value = args.flags[name];
+  return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Logs to stderr, so that stdout only holds the result.
+ * @param {CliIo} io
+ * @return {SoyLogger}
+ */
+function createLogger(io: CliIo): SoyLogger {
+  const write = (fields, message) => io.stderr.write(`soynode: ${message}\n`);
+  return { debug: () => {}, info: write, warn: write, error: write };
+}
+
+/**
+ * @param {stream.Readable} stream
+ * @return {Promise<string>}
+ */
+function readStream(stream: any): Promise<string> {
+  return new Promise((resolve, reject) => {
+    let contents = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      contents += chunk;
+    });
+    stream.on('end', () => resolve(contents));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Creates a compiler from the `--options` file and the given options.
+ * @param {ParsedArgs} args
+ * @param {CliIo} io
+ * @param {Object} options
+ * @return {Promise<SoyCompiler>}
+ */
+async function createCompiler(
+  args: ParsedArgs,
+  io: CliIo,
+  options: Object
+): Promise<SoyCompiler> {
+  const optionsFile = stringFlag(args, 'options');
+  let fileOptions = {};
+  if (optionsFile) {
+    try {
+      fileOptions = JSON.parse(
+        await promisify(fs.readFile)(optionsFile, 'utf8')
+      );
+    } catch (err) {
+      throw new UsageError(`Cannot read ${optionsFile}: ${err.message}`);
+    }
+  }
+
+  return new SoyCompiler({
+    logger: createLogger(io),
+    ...fileOptions,
+    ...options,
+  });
+}
+
+/**
+ * Directory for the temporary files of the commands.
+ */
+const TMP_DIR = path.join(os.tmpdir(), 'soynode-cli');
+
+/**
+ * Options for compiling the templates of a command into a new temporary
+ * directory, which the command deletes again.  The output directory of the
+ * options file is ignored, so that a build directory is never deleted.
+ * @param {ParsedArgs} args
+ * @param {Object} options
+ * @return {Promise<Object>}
+ */
+async function compileOptions(
+  args: ParsedArgs,
+  options: Object
+): Promise<Object> {
+  const locale = stringFlag(args, 'locale');
+  await promisify(fs.mkdirs)(TMP_DIR);
+  return {
+    ...options,
+    tmpDir: TMP_DIR,
+    outputDir: await promisify(fs.mkdtemp)(path.join(TMP_DIR, 'output-')),
+    uniqueDir: false,
+    ...(locale ? { locales: [locale] } : {}),
+  };
+}
+
+/**
+ * Options for writing compiled templates to the `--output-dir`.
+ * @param {ParsedArgs} args
+ * @param {string} command
+ * @return {Object}
+ */
+function outputOptions(args: ParsedArgs, command: string): Object {
+  const outputDir = stringFlag(args, 'output-dir');
+  if (!args.positional[0] || !outputDir) {
+    throw new UsageError(`${command} needs an input and an output directory`);
+  }
+
+  const options: Object = {
+    outputDir,
+    uniqueDir: false,
+    loadCompiledTemplates: false,
+  };
+  const locales = stringFlag(args, 'locales');
+  if (locales) options.locales = locales.split(',');
+  const messageFilePathFormat = stringFlag(args, 'message-file-path-format');
+  if (messageFilePathFormat) {
+    options.messageFilePathFormat = messageFilePathFormat;
+  }
+  return options;
+}
+
+/**
+ * @param {ParsedArgs} args
+ * @param {CliIo} io
+ * @return {Promise<Object>} The result of the command.
+ */
+async function compile(args: ParsedArgs, io: CliIo): Promise<Object> {
+  const options = outputOptions(args, 'compile');
+  if (args.flags.concat) options.concatOutput = true;
+  const concatFileName = stringFlag(args, 'concat-file-name');
+  if (concatFileName) options.concatFileName = concatFileName;
+  const precompiledDir = stringFlag(args, 'precompiled-dir');
+  if (precompiledDir) options.precompiledDir = precompiledDir;
+
+  const compiler = await createCompiler(args, io, options);
+  try {
+    const warnings = await compiler.compileTemplates(
+      path.resolve(args.positional[0])
+    );
+    return { outputDir: path.resolve(options.outputDir), warnings };
+  } finally {
+    await compiler.close();
+  }
+}
+
+/**
+ * @param {ParsedArgs} args
+ * @param {CliIo} io
+ * @return {Promise<Object>} The result of the command.
+ */
+async function bundle(args: ParsedArgs, io: CliIo): Promise<Object> {
+  const options = outputOptions(args, 'bundle');
+  const include = stringFlag(args, 'include');
+  const exclude = stringFlag(args, 'exclude');
+
+  const compiler = await createCompiler(args, io, options);
+  try {
+    const warnings = await compiler.compileTemplates(
+      path.resolve(args.positional[0])
+    );
+    const files = await compiler.buildBrowserBundle({
+      include: include ? include.split(',') : undefined,
+      exclude: exclude ? exclude.split(',') : undefined,
+      fileName: stringFlag(args, 'file-name'),
+    });
+    return { files, warnings };
+  } finally {
+    await compiler.close();
+  }
+}
+
+/**
+ * @param {ParsedArgs} args
+ * @param {CliIo} io
+ * @return {Promise<Object>} The result of the command.
+ */
+async function render(args: ParsedArgs, io: CliIo): Promise<Object> {
+  const [templateName] = args.positional;
+  const inputDir = stringFlag(args, 'input-dir');
+  const compiledDir = stringFlag(args, 'compiled-dir');
+  const locale = stringFlag(args, 'locale');
+  if (!templateName || (!inputDir && !compiledDir)) {
+    throw new UsageError(
+      'render needs a template name and --input-dir or --compiled-dir'
+    );
+  }
+
+  let dataJson = stringFlag(args, 'data');
+  if (dataJson === null || dataJson === undefined) {
+    dataJson = io.stdin.isTTY ? '' : await readStream(io.stdin);
+  }
+  let data;
+  try {
+    data = dataJson.trim() ? JSON.parse(dataJson) : {};
+  } catch (err) {
+    throw new UsageError(`Invalid JSON data: ${err.message}`);
+  }
+
+  const options = compiledDir ? {} : await compileOptions(args, {});
+  const compiler = await createCompiler(args, io, options);
+  try {
+    if (compiledDir) {
+      const localeDir = locale ? path.join(compiledDir, locale) : null;
+      const dir =
+        localeDir && (await promisify(fs.exists)(localeDir))
+          ? localeDir
+          : compiledDir;
+      await compiler.loadCompiledTemplateFiles(
+        (await findFiles(dir, 'soy.js')).map(file => path.join(dir, file)),
+        { vmType: locale }
+      );
+    } else if (inputDir) {
+      await compiler.compileTemplates(path.resolve(inputDir));
+    }
+    return {
+      output: await compiler.renderAsync(templateName, data, null, locale),
+    };
+  } finally {
+    await compiler.close();
+    if (options.outputDir) await promisify(fs.remove)(options.outputDir);
+  }
+}
+
+/**
+ * @param {ParsedArgs} args
+ * @param {CliIo} io
+ * @return {Promise<Object>} The result of the command.
+ */
+async function list(args: ParsedArgs, io: CliIo): Promise<Object> {
+  const [inputDir] = args.positional;
+  if (!inputDir) throw new UsageError('list needs an input directory');
+
+  const options = await compileOptions(args, { loadCompiledTemplates: false });
+  const compiler = await createCompiler(args, io, options);
+  try {
+    await compiler.compileTemplates(path.resolve(inputDir));
+    return { templates: compiler.listTemplates(stringFlag(args, 'locale')) };
+  } finally {
+    await compiler.close();
+    await promisify(fs.remove)(options.outputDir);
+  }
+}
+
+/**
+ * @param {ParsedArgs} args
+ * @param {CliIo} io
+ * @return {Promise<Object>} The result of the command.
+ */
+async function extract(args: ParsedArgs, io: CliIo): Promise<Object> {
+  const [inputDir] = args.positional;
+  const outputFile = stringFlag(args, 'output-file');
+  if (!inputDir || !outputFile) {
+    throw new UsageError('extract needs an input directory and an output file');
+  }
+
+  const compiler = await createCompiler(args, io, {});
+  try {
+    const file = await compiler.extractMessages({
+      inputDir,
+      outputFile,
+      sourceLocale: stringFlag(args, 'source-locale'),
+      targetLocale: stringFlag(args, 'target-locale'),
+    });
+    return { file };
+  } finally {
+    await compiler.close();
+  }
+}
+
+/**
+ * @param {ParsedArgs} args
+ * @param {CliIo} io
+ * @return {Promise<Object>} The result of the command.
+ */
+async function check(args: ParsedArgs, io: CliIo): Promise<Object> {
+  const [inputDir] = args.positional;
+  if (!inputDir) throw new UsageError('check needs an input directory');
+  const locales = stringFlag(args, 'locales');
+
+  const compiler = await createCompiler(args, io, { tmpDir: TMP_DIR });
+  try {
+    const reports = await compiler.checkTranslations({
+      inputDir,
+      locales: locales ? locales.split(',') : null,
+      messageFilePathFormat: stringFlag(args, 'message-file-path-format'),
+    });
+    return {
+      complete: reports.every(report => report.complete),
+      locales: reports,
+    };
+  } finally {
+    await compiler.close();
+  }
+}
+
+/**
+ * Writes the result of a command as text.
+ * @param {string} command
+ * @param {Object} result
+ * @param {CliIo} io
+ */
+function writeText(command: string, result: Object, io: CliIo) {
+  if (command === 'compile') {
+    result.warnings.forEach(warning =>
+      io.stderr.write(`${formatDiagnostic(warning)}\n`)
+    );
+    io.stdout.write(`Compiled templates to ${result.outputDir}\n`);
+  } else if (command === 'bundle') {
+    result.warnings.forEach(warning =>
+      io.stderr.write(`${formatDiagnostic(warning)}\n`)
+    );
+    result.files.forEach(file => io.stdout.write(`Wrote ${file}\n`));
+  } else if (command === 'extract') {
+    io.stdout.write(`Wrote ${result.file}\n`);
+  } else if (command === 'check') {
+    result.locales.forEach(report => {
+      if (report.missingFile) {
+        io.stdout.write(
+          `${report.locale}: no message file at ${report.file}\n`
+        );
+        return;
+      }
+      io.stdout.write(
+        `${report.locale}: ${report.coverage}% translated (${
+          report.translated
+        }/${report.total}), ${report.missing.length} missing, ${
+          report.obsolete.length
+        } obsolete, ${
+          report.placeholderMismatches.length
+        } with mismatched placeholders\n`
+      );
+      report.missing.forEach(message =>
+        io.stdout.write(
+          `  missing ${message.id}: ${message.description || ''}\n`
+        )
+      );
+      report.obsolete.forEach(message =>
+        io.stdout.write(`  obsolete ${message.id}\n`)
+      );
+      report.placeholderMismatches.forEach(message =>
+        io.stdout.write(
+          `  placeholders ${message.id}: missing [${message.missing.join(
+            ', '
+          )}], unexpected [${message.unexpected.join(', ')}]\n`
+        )
+      );
+    });
+  } else if (command === 'render') {
+    io.stdout.write(result.output);
+  } else {
+    result.templates.forEach(template =>
+      io.stdout.write(
+        template.variant
+          ? `${template.name} (${template.variant})\n`
+          : `${template.name}\n`
+      )
+    );
+  }
+}
+
+const COMMANDS = { compile, bundle, render, extract, check, list };
+
+/**
+ * Runs the soynode command.
+ * @param {Array.<string>} argv The arguments, without the node binary and script.
+ * @param {CliIo} io
+ * @return {Promise<number>} The exit code.
+ */
+async function run(argv: Array<string>, io: CliIo): Promise<number> {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    io.stderr.write(`${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { command } = args;
+  if (args.flags.help) {
+    io.stdout.write(USAGE);
+    return EXIT_OK;
+  }
+  if (!command) {
+    io.stderr.write(USAGE);
+    return EXIT_USAGE;
+  }
+  if (!COMMANDS[command]) {
+    io.stderr.write(`Unknown command ${command}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const json = !!args.flags.json;
+  try {
+    const result = await COMMANDS[command](args, io);
+    if (json) {
+      io.stdout.write(`${JSON.stringify({ ok: true, ...result }, null, 2)}\n`);
+    } else {
+      writeText(command, result, io);
+    }
+    return result.complete === false ? EXIT_FAILURE : EXIT_OK;
+  } catch (err) {
+    const usage = err instanceof UsageError;
+    if (json) {
+      const output: Object = { ok: false, error: err.message };
+      if (err instanceof SoyCompileError) output.diagnostics = err.diagnostics;
+      io.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+    } else if (usage) {
+      io.stderr.write(`${err.message}\n\n${USAGE}`);
+    } else if (!(err instanceof SoyCompileError)) {
+      // Compile errors were logged already.
+      io.stderr.write(`${err.message}\n`);
+    }
+    return usage ? EXIT_USAGE : EXIT_FAILURE;
+  }
+}
+
+export default run;
+
+if (require.main === module) {
+  (async () => {
+    process.exitCode = await run(process.argv.slice(2), process);
+  })();
+}
@@ -0,0 +1,152 @@
+// @flow
+
+import path from 'path';
+import type SoyCompiler from './SoyCompiler';
+
+/**
+ * Options of createExpressEngine.
+ */
+export type ExpressEngineOptions = {
+  templateName?: (filePath: string, viewsDirs: Array<string>) => string,
+  data?: (locals: Object) => ?Object,
+  injectedData?: (locals: Object) => ?Object,
+  injectLocals?: boolean,
+  vmType?: (locals: Object) => ?string,
+};
+
+/**
+ * Properties Express adds to the render options which are not locals.
+ */
+const EXPRESS_OPTIONS = ['settings', '_locals', 'cache'];
+
+/**
+ * Maps the path of a view to a template name: the path relative to the views
+ * directory without its extension, with the separators replaced by dots.
+ * `views/page/home.soy` becomes `page.home`.
+ * @param {string} filePath
+ * @param {Array.<string>} viewsDirs
+ * @return {string}
+ */
+function defaultTemplateName(
+  filePath: string,
+  viewsDirs: Array<string>
+): string {
+  const viewsDir = viewsDirs.find(
+    dir => path.relative(dir, filePath).indexOf('..') !== 0
+  );
+  const relative = viewsDir
+    ? path.relative(viewsDir, filePath)
+    : path.basename(filePath);
+  return relative
+    .replace(/\.[^./\\]*$/, '')
+    .split(path.sep)
+    .join('.');
+}
+
+/**
+ * Creates a view engine rendering soy templates for `app.engine`.
+ *
+ * The locals passed to `res.render`, including `res.locals` and `app.locals`, are
+ * the template data, and with `injectLocals` also the injected data.  The vm type
+ * is the `locale` local, resolved through its fallbacks.  Requests wait until
+ * the first compile has completed, and with `lazyLocales` until their locale is
+ * loaded.
+ *
+ * @param {SoyCompiler} compiler
+ * @param {ExpressEngineOptions=} options
+ * @return {function(string, Object, function(?Error, string=))}
+ */
+export default function createExpressEngine(
+  compiler: SoyCompiler,
+  options: ExpressEngineOptions = {}
+) {
+  let compiling = 0;
+  let ready = compiler.hasLoadedTemplates();
+  // The error of the first compile, until a later compile succeeds.  The compile
+  // may have failed before the engine was created.
+  let firstError = ready ? null : compiler.getLastCompileError();
+  let waiters = [];
+  const settle = (err: ?Error) => {
+    const settled = waiters;
+    waiters = [];
+    settled.forEach(waiter => (err ? waiter.reject(err) : waiter.resolve()));
+  };
+
+  compiler.on('compileStart', () => {
+    compiling += 1;
+  });
+  compiler.on('compileSuccess', () => {
+    // A compile may have started before the engine was created.
+    compiling = Math.max(compiling - 1, 0);
+    ready = true;
+    firstError = null;
+    settle();
+  });
+  compiler.on('compileError', ({ error }) => {
+    compiling = Math.max(compiling - 1, 0);
+    // Requests fail with the error of the first compile until one succeeds.
+    if (ready) return;
+    firstError = error;
+    settle(error);
+  });
+  compiler.on('templatesReloaded', () => {
+    // Templates loaded without compiling them.
+    if (compiling > 0) return;
+    ready = true;
+    firstError = null;
+    settle();
+  });
+
+  const whenReady = (): Promise<void> => {
+    if (ready) return Promise.resolve();
+    if (firstError) return Promise.reject(firstError);
+    return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+  };
+
+  return function soyEngine(
+    filePath: string,
+    renderOptions: Object,
+    callback: (err: ?Error, html?: string) => mixed
+  ) {
+    const locals = {};
+    Object.keys(renderOptions)
+      .filter(key => EXPRESS_OPTIONS.indexOf(key) === -1)
+      .forEach(key => {
+        locals[key] = renderOptions[key];
+      });
+    const { settings = {} } = renderOptions;
+    const viewsDirs = [].concat(settings.views || []);
+
+    (async () => {
+      let html;
+      try {
+        await whenReady();
+
+        const templateName = (options.templateName || defaultTemplateName)(
+          filePath,
+          viewsDirs
+        );
+        const data = options.data ? options.data(locals) : locals;
+        let injectedData = options.injectLocals ? locals : null;
+        if (options.injectedData) injectedData = options.injectedData(locals);
+        let vmType = null;
+        if (options.vmType) {
+          vmType = options.vmType(locals);
+        } else if (locals.locale) {
+          vmType = compiler.resolveVmType(locals.locale);
+        }
+
+        html = await compiler.renderAsync(
+          templateName,
+          data,
+          injectedData,
+          vmType
+        );
+      } catch (err) {
+        callback(err);
+        return;
+      }
+      callback(null, html);
+    })();
+  };
+}
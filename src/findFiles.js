@@ -0,0 +1,47 @@
+// @flow
+// Copyright 2014. A Medium Corporation.
+
+import fs from 'fs-extra';
+import path from 'path';
+import { promisify } from 'util';
+
+/**
+ * Performs a recursive directory traversal of the given directory, accumulating all files with the
+ * provided extension.  The resultant array is a list of paths relative to the input directory.
+ * @param {string} directory
+ * @param {string} extension
+ */
+export default async function findFiles(
+  directory: string,
+  extension: string
+): Promise<Array<string>> {
+  const files = [];
+  const stack = [directory];
+
+  async function next(): Promise<Array<string>> {
+    if (stack.length === 0) {
+      return files;
+    }
+    const dir = stack.pop();
+    const stats = await promisify(fs.stat)(dir);
+
+    if (!stats.isDirectory()) return next();
+
+    const dirContents = await promisify(fs.readdir)(dir);
+
+    dirContents.forEach(file => {
+      const fullpath = path.join(dir, file);
+      // If the file is a soy file then push it onto the files array.
+      if (file.substr(-1 - extension.length) === `.${extension}`) {
+        files.push(path.relative(directory, fullpath));
+
+        // If the file has no extension add it to the stack for potential processing. We
+        // optimistically add potential dirs here to simplify the async nature of fs calls.
+      } else if (file.indexOf('.') === -1) {
+        stack.push(fullpath);
+      }
+    });
+    return next();
+  }
+  return next();
+}
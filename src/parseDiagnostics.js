@@ -0,0 +1,136 @@
+// @flow
+
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import type { SoyDiagnostic } from './SoyCompileError';
+
+/**
+ * Matches the SoySyntaxException format:
+ *   In file foo/bar.soy:12:3, template foo.bar: Undefined template 'baz'.
+ */
+const IN_FILE_PATTERN = /In file (.+?)(?::(\d+)(?::(\d+))?)?(?:, template [^:]+)?: (.+)$/;
+
+/**
+ * Matches the error reporter format of newer compilers:
+ *   foo/bar.soy:12:3: error: Undefined template 'baz'.
+ */
+const REPORTER_PATTERN = /^(.+?\.soy):(\d+)(?::(\d+))?: (error|warning): (.+)$/;
+
+/**
+ * Matches the caret line printed below a source snippet.
+ */
+const CARET_PATTERN = /^\s*\^+\s*$/;
+
+/**
+ * Matches java stack frames, which carry no information for template authors.
+ */
+const STACK_FRAME_PATTERN = /^\s+(at |\.\.\. \d+ more)/;
+
+/**
+ * Reads the line a diagnostic points at and underlines its column.
+ * @param {string} inputDir
+ * @param {SoyDiagnostic} diagnostic
+ * @return {Promise<?string>}
+ */
+async function readSnippet(
+  inputDir: string,
+  diagnostic: SoyDiagnostic
+): Promise<?string> {
+  const { file, line, column } = diagnostic;
+  if (!file || !line) return null;
+
+  let contents;
+  try {
+    contents = await promisify(fs.readFile)(
+      path.resolve(inputDir, file),
+      'utf8'
+    );
+  } catch (err) {
+    return null;
+  }
+
+  const sourceLine = contents.split(/\r?\n/)[line - 1];
+  if (sourceLine === undefined) return null;
+  if (!column) return sourceLine;
+  return `${sourceLine}\n${' '.repeat(column - 1)}^`;
+}
+
+/**
+ * Parses the output of the Closure Templates compiler into a list of diagnostics.
+ * @param {string} output stderr of the compiler process
+ * @param {string} inputDir Directory the compiler was spawned from
+ * @param {boolean} failed Whether the compiler exited with a non-zero code
+ * @return {Promise<Array.<SoyDiagnostic>>}
+ */
+export default async function parseDiagnostics(
+  output: string,
+  inputDir: string,
+  failed: boolean
+): Promise<Array<SoyDiagnostic>> {
+  const diagnostics: Array<SoyDiagnostic> = [];
+  const lines = output.split(/\r?\n/);
+
+  const relativeFile = file =>
+    path.relative(inputDir, path.resolve(inputDir, file));
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match = REPORTER_PATTERN.exec(line);
+    if (match) {
+      const diagnostic: SoyDiagnostic = {
+        file: relativeFile(match[1]),
+        line: Number(match[2]),
+        column: match[3] ? Number(match[3]) : null,
+        severity: match[4] === 'warning' ? 'warning' : 'error',
+        message: match[5].trim(),
+        snippet: null,
+      };
+      // The reporter prints the offending source line followed by a caret.
+      if (i + 2 < lines.length && CARET_PATTERN.test(lines[i + 2])) {
+        diagnostic.snippet = `${lines[i + 1]}\n${lines[i + 2]}`;
+        i += 2;
+      }
+      diagnostics.push(diagnostic);
+      continue;
+    }
+
+    match = IN_FILE_PATTERN.exec(line);
+    if (match) {
+      diagnostics.push({
+        file: relativeFile(match[1]),
+        line: match[2] ? Number(match[2]) : null,
+        column: match[3] ? Number(match[3]) : null,
+        severity: failed ? 'error' : 'warning',
+        message: match[4].trim(),
+        snippet: null,
+      });
+    }
+  }
+
+  if (failed && !diagnostics.some(d => d.severity === 'error')) {
+    // Nothing we recognize, keep whatever the compiler said.
+    const message = lines
+      .filter(line => line.trim() && !STACK_FRAME_PATTERN.test(line))
+      .join('\n')
+      .trim();
+    diagnostics.push({
+      file: null,
+      line: null,
+      column: null,
+      severity: 'error',
+      message: message || 'Unknown compiler error',
+      snippet: null,
+    });
+  }
+
+  await Promise.all(
+    diagnostics.map(async diagnostic => {
+      if (!diagnostic.snippet) {
+        diagnostic.snippet = await readSnippet(inputDir, diagnostic);
+      }
+    })
+  );
+
+  return diagnostics;
+}
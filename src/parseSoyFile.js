@@ -0,0 +1,241 @@
+// @flow
+
+/**
+ * A param declared by a template, either in its doc comment as `@param` or
+ * `@param?`, or as `{@param name: type}`.  Only the latter has a type.
+ */
+export type SoyParamInfo = {
+  name: string,
+  required: boolean,
+  type: ?string,
+  description: ?string,
+};
+
+/**
+ * A template or deltemplate declared in a soy file.
+ */
+export type SoyTemplateInfo = {
+  name: string,
+  delegate: boolean,
+  variant: ?string,
+  private: boolean,
+  line: number,
+  description: ?string,
+  params: Array<SoyParamInfo>,
+  calls: Array<string>,
+  delcalls: Array<string>,
+};
+
+/**
+ * What soynode knows about a soy file without compiling it.
+ */
+export type SoyFileInfo = {
+  namespace: ?string,
+  templates: Array<SoyTemplateInfo>,
+};
+
+/**
+ * Matches block and line comments.  As in soy, `//` only starts a comment at the
+ * beginning of a line or after whitespace, so urls in template text are kept.
+ */
+const COMMENT_PATTERN = /\/\*[\s\S]*?\*\/|(^|\s)\/\/[^\n]*/g;
+
+/**
+ * Matches the soy commands soynode is interested in.
+ */
+const COMMAND_PATTERN = /\{(namespace|alias|template|deltemplate|\/template|\/deltemplate|call|delcall|@param\??)(?:\s+([^}]*))?\}/g;
+
+/**
+ * Matches doc comments.
+ */
+const DOC_COMMENT_PATTERN = /\/\*\*([\s\S]*?)\*\//g;
+
+/**
+ * Matches the params declared in a doc comment.
+ */
+const DOC_PARAM_PATTERN = /@param(\?)?\s+(\w+)([^@]*)/g;
+
+/**
+ * A doc comment, and the params it declares.
+ */
+type DocComment = { end: number, text: ?string, params: Array<SoyParamInfo> };
+
+/**
+ * Replaces comments with whitespace, keeping offsets and line numbers intact.
+ * @param {string} source
+ * @return {string}
+ */
+function stripComments(source: string): string {
+  return source.replace(
+    COMMENT_PATTERN,
+    (comment, leading = '') =>
+      leading + comment.slice(leading.length).replace(/[^\n]/g, ' ')
+  );
+}
+
+/**
+ * Removes the leading stars of doc comment lines and joins them.
+ * @param {string} text
+ * @return {?string} null if nothing is left.
+ */
+function cleanDoc(text: string): ?string {
+  const cleaned = text
+    .split('\n')
+    .map(line => line.replace(/^\s*\*+/, '').trim())
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s*\*+$/, '');
+  return cleaned || null;
+}
+
+/**
+ * Finds the doc comments of a file and the params they declare.
+ * @param {string} source
+ * @return {Array.<DocComment>}
+ */
+function findDocComments(source: string): Array<DocComment> {
+  const docs = [];
+  DOC_COMMENT_PATTERN.lastIndex = 0;
+  for (
+    let match = DOC_COMMENT_PATTERN.exec(source);
+    match;
+    match = DOC_COMMENT_PATTERN.exec(source)
+  ) {
+    const params = [];
+    DOC_PARAM_PATTERN.lastIndex = 0;
+    for (
+      let param = DOC_PARAM_PATTERN.exec(match[1]);
+      param;
+      param = DOC_PARAM_PATTERN.exec(match[1])
+    ) {
+      params.push({
+        name: param[2],
+        required: !param[1],
+        type: null,
+        description: cleanDoc(param[3]),
+      });
+    }
+    docs.push({
+      end: match.index + match[0].length,
+      text: cleanDoc(match[1].split(/^\s*\*?\s*@/m)[0]),
+      params,
+    });
+  }
+  return docs;
+}
+
+/**
+ * @param {string} attributes The attribute part of a soy command.
+ * @param {string} name
+ * @return {?string}
+ */
+function getAttribute(attributes: string, name: string): ?string {
+  const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attributes);
+  return match ? match[1] : null;
+}
+
+/**
+ * Scans the source of a soy file for its namespace, its templates and the
+ * templates they call.  Call targets are resolved to their full names.
+ * @param {string} source
+ * @return {SoyFileInfo}
+ */
+export default function parseSoyFile(source: string): SoyFileInfo {
+  const code = stripComments(source);
+  const docs = findDocComments(source);
+  const info: SoyFileInfo = { namespace: null, templates: [] };
+  const aliases = {};
+  let current: ?SoyTemplateInfo = null;
+
+  const resolve = (name: string): string => {
+    if (name.charAt(0) === '.') return `${info.namespace || ''}${name}`;
+    const [first, ...rest] = name.split('.');
+    if (aliases[first]) return [aliases[first]].concat(rest).join('.');
+    return name;
+  };
+
+  const lineAt = (index: number): number =>
+    code.slice(0, index).split('\n').length;
+
+  // The doc comment right before a command.
+  const docAt = (index: number): ?DocComment =>
+    docs.find(d => d.end <= index && !source.slice(d.end, index).trim());
+
+  COMMAND_PATTERN.lastIndex = 0;
+  for (
+    let match = COMMAND_PATTERN.exec(code);
+    match;
+    match = COMMAND_PATTERN.exec(code)
+  ) {
+    const [, command, rest = ''] = match;
+    const target = rest
+      .trim()
+      .split(/\s+/)[0]
+      .replace(/\/$/, '');
+
+    switch (command) {
+      case 'namespace':
+        info.namespace = target;
+        break;
+      case 'alias': {
+        const aliasMatch = /^([\w.]+)(?:\s+as\s+(\w+))?/.exec(rest.trim());
+        if (aliasMatch) {
+          const [, aliased, alias] = aliasMatch;
+          aliases[alias || aliased.split('.').pop()] = aliased;
+        }
+        break;
+      }
+      case 'template':
+      case 'deltemplate': {
+        const doc = docAt(match.index);
+        current = {
+          name: command === 'template' ? resolve(target) : target,
+          delegate: command === 'deltemplate',
+          variant: getAttribute(rest, 'variant'),
+          private:
+            getAttribute(rest, 'private') === 'true' ||
+            getAttribute(rest, 'visibility') === 'private',
+          line: lineAt(match.index),
+          description: doc ? doc.text : null,
+          params: doc ? doc.params.slice() : [],
+          calls: [],
+          delcalls: [],
+        };
+        info.templates.push(current);
+        break;
+      }
+      case '/template':
+      case '/deltemplate':
+        current = null;
+        break;
+      case 'call':
+        if (current && current.calls.indexOf(resolve(target)) === -1) {
+          current.calls.push(resolve(target));
+        }
+        break;
+      case '@param':
+      case '@param?': {
+        const paramMatch = /^(\w+)\s*:\s*(.*?)\s*\/?$/.exec(rest.trim());
+        const doc = docAt(match.index);
+        if (current && paramMatch) {
+          current.params.push({
+            name: paramMatch[1],
+            required: command === '@param',
+            type: paramMatch[2],
+            description: doc ? doc.text : null,
+          });
+        }
+        break;
+      }
+      case 'delcall':
+        if (current && current.delcalls.indexOf(target) === -1) {
+          current.delcalls.push(target);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  return info;
+}
@@ -0,0 +1,82 @@
+// @flow
+
+import type { SoyFileInfo } from './parseSoyFile';
+
+/**
+ * Splits files into at most `count` shards that can be compiled independently.
+ * Files sharing a namespace, and files calling templates or deltemplates declared
+ * by another file, are kept in the same shard.
+ * @param {Array.<string>} files
+ * @param {Object.<string, SoyFileInfo>} infos Parsed files, keyed by file.
+ * @param {number} count
+ * @return {Array.<Array.<string>>}
+ */
+export default function shardFiles(
+  files: Array<string>,
+  infos: { [file: string]: SoyFileInfo },
+  count: number
+): Array<Array<string>> {
+  // Union-find over the files.
+  const parents = {};
+  files.forEach(file => {
+    parents[file] = file;
+  });
+  const find = (file: string): string => {
+    while (parents[file] !== file) {
+      parents[file] = parents[parents[file]];
+      file = parents[file];
+    }
+    return file;
+  };
+  const union = (a: string, b: string) => {
+    parents[find(a)] = find(b);
+  };
+
+  const namespaceOwners = {};
+  const deltemplateOwners = {};
+  files.forEach(file => {
+    const { namespace, templates } = infos[file];
+    if (namespace) {
+      if (namespaceOwners[namespace]) union(file, namespaceOwners[namespace]);
+      namespaceOwners[namespace] = file;
+    }
+    templates.filter(t => t.delegate).forEach(template => {
+      deltemplateOwners[template.name] = (
+        deltemplateOwners[template.name] || []
+      ).concat(file);
+    });
+  });
+
+  files.forEach(file => {
+    infos[file].templates.forEach(template => {
+      template.calls.forEach(call => {
+        const owner = namespaceOwners[call.slice(0, call.lastIndexOf('.'))];
+        if (owner) union(file, owner);
+      });
+      template.delcalls.forEach(delcall => {
+        (deltemplateOwners[delcall] || []).forEach(owner => union(file, owner));
+      });
+    });
+  });
+
+  const groups = {};
+  files.forEach(file => {
+    const root = find(file);
+    groups[root] = (groups[root] || []).concat(file);
+  });
+
+  // Largest groups first, each into the currently smallest shard.
+  const shards = [];
+  for (let i = 0; i < Math.max(1, count); i++) shards.push([]);
+  Object.keys(groups)
+    .map(root => groups[root])
+    .sort((a, b) => b.length - a.length)
+    .forEach(group => {
+      const smallest = shards.reduce(
+        (min, shard) => (shard.length < min.length ? shard : min)
+      );
+      smallest.push(...group);
+    });
+
+  return shards.filter(shard => shard.length > 0);
+}
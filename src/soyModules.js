@@ -0,0 +1,183 @@
+// @flow
+
+import { readSupportFiles } from './soySupportFiles';
+
+/**
+ * Module systems compiled templates can be wrapped for.
+ */
+export type SoyModuleFormat = 'commonjs' | 'esm';
+
+/**
+ * What a template module needs to know about its soy file.
+ */
+export type SoyModuleInfo = {
+  namespace: string,
+  templates: Array<string>,
+  vmType: string,
+  runtimePath: string,
+  dependencies: Array<{ path: string, namespace: string }>,
+};
+
+/**
+ * File name of the runtime module, in the output directory.
+ */
+export const RUNTIME_FILE_NAME = 'soyutils.js';
+
+/**
+ * Name of the runtime module in the template modules.
+ */
+const RUNTIME_NAME = 'soynodeRuntime';
+
+/**
+ * Sets up closure and soyutils on the global object, like in a browser, as the
+ * support code and the compiled templates reference `goog`, `soy` and `soydata`
+ * as globals.  Template namespaces are kept per vm type in the runtime instead.
+ */
+const RUNTIME_HEADER = `// Closure and soy support code for the templates compiled by soynode.
+// This file was automatically generated, don't edit it by hand.
+var soyGlobal = typeof globalThis !== 'undefined' ? globalThis :
+    typeof window !== 'undefined' ? window : global;
+if (!soyGlobal.soy) {
+(function () {
+this.CLOSURE_NO_DEPS = true;
+this.CLOSURE_UNCOMPILED_DEFINES = { 'goog.ENABLE_DEBUG_LOADER': false };
+var goog = this.goog = {};
+`;
+
+const RUNTIME_FOOTER = `
+}).call(soyGlobal);
+}
+var namespaces = {};
+function namespace(name, vmType) {
+  var parts = name.split('.');
+  var key = vmType + ':' + parts[0];
+  var cur = namespaces[key] = namespaces[key] || {};
+  for (var i = 1; i < parts.length; i++) {
+    cur = cur[parts[i]] = cur[parts[i]] || {};
+  }
+  return namespaces[key];
+}
+var runtime = {
+  goog: soyGlobal.goog,
+  soy: soyGlobal.soy,
+  soydata: soyGlobal.soydata,
+  namespace: namespace
+};
+`;
+
+/**
+ * Starts a browser bundle.  The support code is evaluated as a plain script, so
+ * closure is set up on the global object.
+ */
+const BUNDLE_HEADER = `// Closure and soy support code and templates compiled by soynode.
+// This file was automatically generated, don't edit it by hand.
+var CLOSURE_NO_DEPS = true;
+var CLOSURE_UNCOMPILED_DEFINES = { 'goog.ENABLE_DEBUG_LOADER': false };
+`;
+
+/**
+ * @param {string} name
+ * @return {boolean} Whether a template name can be exported as is.
+ */
+function isIdentifier(name: string): boolean {
+  return /^[A-Za-z_$][\w$]*$/.test(name);
+}
+
+/**
+ * Builds the runtime module, holding the closure and soy support code.
+ * @param {SoyModuleFormat} format
+ * @param {string} soyUtilsPath
+ * @param {Array.<string>} contextJsPaths Additional support code.
+ * @return {Promise<string>}
+ */
+export async function buildRuntime(
+  format: SoyModuleFormat,
+  soyUtilsPath: string,
+  contextJsPaths: Array<string>
+): Promise<string> {
+  const sources = await readSupportFiles(soyUtilsPath, contextJsPaths);
+  const exports =
+    format === 'esm'
+      ? 'export default runtime;\n'
+      : 'module.exports = runtime;\n';
+  return RUNTIME_HEADER + sources.join('\n;\n') + RUNTIME_FOOTER + exports;
+}
+
+/**
+ * Builds a script for browsers holding the closure and soy support code followed
+ * by compiled templates.
+ * @param {string} soyUtilsPath
+ * @param {Array.<string>} contextJsPaths Additional support code.
+ * @param {Array.<string>} templateSources The compiled files.
+ * @return {Promise<string>}
+ */
+export async function buildBundleScript(
+  soyUtilsPath: string,
+  contextJsPaths: Array<string>,
+  templateSources: Array<string>
+): Promise<string> {
+  const sources = await readSupportFiles(soyUtilsPath, contextJsPaths);
+  return `${BUNDLE_HEADER + sources.concat(templateSources).join('\n;\n')}\n`;
+}
+
+/**
+ * Wraps a compiled soy file into a module.  The module exports the template
+ * functions of the file's namespace, as the default export for ES modules.  The
+ * top-level names of the namespaces it uses are declared locally, and the files
+ * it calls into are imported first.
+ * @param {string} code The compiled file.
+ * @param {SoyModuleFormat} format
+ * @param {SoyModuleInfo} info
+ * @return {string}
+ */
+export function wrapModule(
+  code: string,
+  format: SoyModuleFormat,
+  info: SoyModuleInfo
+): string {
+  const esm = format === 'esm';
+  const lines = [
+    esm
+      ? `import ${RUNTIME_NAME} from '${info.runtimePath}';`
+      : `var ${RUNTIME_NAME} = require('${info.runtimePath}');`,
+  ];
+  info.dependencies.forEach(dependency =>
+    lines.push(
+      esm ? `import '${dependency.path}';` : `require('${dependency.path}');`
+    )
+  );
+
+  const declared = {};
+  [info.namespace]
+    .concat(info.dependencies.map(dependency => dependency.namespace))
+    .forEach(namespace => {
+      const [topLevel] = namespace.split('.');
+      if (declared[topLevel]) return;
+      declared[topLevel] = true;
+      lines.push(
+        `var ${topLevel} = ${RUNTIME_NAME}.namespace(${JSON.stringify(
+          namespace
+        )}, ${JSON.stringify(info.vmType)});`
+      );
+    });
+
+  lines.push('', code.trim(), '');
+  if (esm) {
+    lines.push(`var soynode$exports = ${info.namespace};`);
+    lines.push('export default soynode$exports;');
+    const names = info.templates.filter(isIdentifier);
+    names.forEach(name =>
+      lines.push(`var soynode$${name} = soynode$exports.${name};`)
+    );
+    if (names.length) {
+      lines.push(
+        `export { ${names
+          .map(name => `soynode$${name} as ${name}`)
+          .join(', ')} };`
+      );
+    }
+  } else {
+    lines.push(`module.exports = ${info.namespace};`);
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,153 @@
+// @flow
+
+import type { SoyFileInfo } from './parseSoyFile';
+
+/**
+ * The template a line of compiled code belongs to.
+ */
+export type SoyLineMapping = { line: number, name: string };
+
+/**
+ * Maps the lines of a compiled file to the templates of its soy file.
+ */
+export type SoyLineMap = {
+  source: string,
+  lines: Array<?SoyLineMapping>,
+};
+
+const BASE64 =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Matches the start of a template function in compiled code.
+ */
+const FUNCTION_PATTERN = /^([\w$.]+) = function\s*\(/;
+
+/**
+ * Matches the registration of a deltemplate function, whose name is generated.
+ */
+const DELEGATE_PATTERN = /soy\.\$\$registerDelegateFn\(soy\.\$\$getDelTemplateId\('([^']+)'\), '([^']*)', -?\d+, ([\w$.]+)\)/;
+
+/**
+ * Encodes a number as a base64 VLQ, as used by source map mappings.
+ * @param {number} value
+ * @return {string}
+ */
+export function encodeVlq(value: number): string {
+  let vlq = value < 0 ? -value * 2 + 1 : value * 2;
+  let encoded = '';
+  do {
+    let digit = vlq % 32;
+    vlq = Math.floor(vlq / 32);
+    // The sixth bit marks that more digits follow.
+    if (vlq > 0) digit += 32;
+    encoded += BASE64.charAt(digit);
+  } while (vlq > 0);
+  return encoded;
+}
+
+/**
+ * Maps each line of a compiled file to the declaration of the template whose
+ * function it is part of.  The compiler doesn't report finer positions.
+ * @param {string} code The compiled file.
+ * @param {string} source The soy file, as it should appear in stack traces.
+ * @param {SoyFileInfo} info
+ * @return {SoyLineMap}
+ */
+export function mapTemplateLines(
+  code: string,
+  source: string,
+  info: SoyFileInfo
+): SoyLineMap {
+  const lines = code.replace(/\n$/, '').split('\n');
+  const functions = {};
+  info.templates.filter(t => !t.delegate).forEach(template => {
+    functions[template.name] = { line: template.line, name: template.name };
+  });
+  lines.forEach(line => {
+    const match = DELEGATE_PATTERN.exec(line);
+    if (!match) return;
+    const [, name, variant, fn] = match;
+    const template = info.templates.find(
+      t =>
+        t.delegate &&
+        t.name === name &&
+        (t.variant || '').replace(/^'|'$/g, '') === variant
+    );
+    if (template) functions[fn] = { line: template.line, name };
+  });
+
+  let current = null;
+  return {
+    source,
+    lines: lines.map(line => {
+      const match = FUNCTION_PATTERN.exec(line);
+      if (match) current = functions[match[1]] || null;
+      return current;
+    }),
+  };
+}
+
+/**
+ * Builds a version 3 source map for files concatenated line by line, each file
+ * ending with a newline.
+ * @param {string} file The generated file.
+ * @param {Array.<SoyLineMap>} sections The line maps of the files, in order.
+ * @return {Object}
+ */
+export function buildSourceMap(
+  file: string,
+  sections: Array<SoyLineMap>
+): Object {
+  const sources = [];
+  const names = [];
+  const previous = { source: 0, line: 0, name: 0 };
+  const mappings = [];
+  sections.forEach(section => {
+    section.lines.forEach(mapping => {
+      if (!mapping) {
+        mappings.push('');
+        return;
+      }
+      let sourceIndex = sources.indexOf(section.source);
+      if (sourceIndex === -1) sourceIndex = sources.push(section.source) - 1;
+      let nameIndex = names.indexOf(mapping.name);
+      if (nameIndex === -1) nameIndex = names.push(mapping.name) - 1;
+      mappings.push(
+        encodeVlq(0) +
+          encodeVlq(sourceIndex - previous.source) +
+          encodeVlq(mapping.line - 1 - previous.line) +
+          encodeVlq(0) +
+          encodeVlq(nameIndex - previous.name)
+      );
+      previous.source = sourceIndex;
+      previous.line = mapping.line - 1;
+      previous.name = nameIndex;
+    });
+  });
+  return {
+    version: 3,
+    file,
+    sources,
+    names,
+    mappings: mappings.join(';'),
+  };
+}
+
+/**
+ * Rewrites the positions of a stack trace that point into compiled files to the
+ * soy files.
+ * @param {string} stack
+ * @param {Object.<string, SoyLineMap>} lineMaps Keyed by compiled file.
+ * @return {string}
+ */
+export function remapStack(
+  stack: string,
+  lineMaps: { [file: string]: SoyLineMap }
+): string {
+  return stack.replace(/([^\s()]+):(\d+):(\d+)/g, (position, file, line) => {
+    const lineMap = lineMaps[file];
+    const mapping = lineMap && lineMap.lines[Number(line) - 1];
+    return lineMap && mapping ? `${lineMap.source}:${mapping.line}` : position;
+  });
+}
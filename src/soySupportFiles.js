@@ -0,0 +1,83 @@
+// @flow
+
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+
+/**
+ * All the dependencies of soyutils_usegoog.js
+ *
+ * In theory, it'd be more robust to load these with goog.require
+ * but I haven't figured out how to make the bootstrapping work
+ * in the VM environment.
+ */
+const CLOSURE_PATHS: Array<string> = [
+  'closure/goog/base.js',
+  'closure/goog/deps.js',
+  'closure/goog/debug/error.js',
+  'closure/goog/dom/nodetype.js',
+  'closure/goog/string/string.js',
+  'closure/goog/asserts/asserts.js',
+  'closure/goog/array/array.js',
+  'closure/goog/dom/tagname.js',
+  'closure/goog/object/object.js',
+  'closure/goog/dom/tags.js',
+  'closure/goog/string/typedstring.js',
+  'closure/goog/string/const.js',
+  'closure/goog/html/safestyle.js',
+  'closure/goog/html/safestylesheet.js',
+  'closure/goog/fs/url.js',
+  'closure/goog/i18n/bidi.js',
+  'closure/goog/html/safeurl.js',
+  'closure/goog/html/trustedresourceurl.js',
+  'closure/goog/html/safehtml.js',
+  'closure/goog/html/safescript.js',
+  'closure/goog/html/uncheckedconversions.js',
+  'closure/goog/structs/structs.js',
+  'closure/goog/structs/collection.js',
+  'closure/goog/functions/functions.js',
+  'closure/goog/math/math.js',
+  'closure/goog/iter/iter.js',
+  'closure/goog/structs/map.js',
+  'closure/goog/structs/set.js',
+  'closure/goog/labs/useragent/util.js',
+  'closure/goog/labs/useragent/browser.js',
+  'closure/goog/labs/useragent/engine.js',
+  'closure/goog/labs/useragent/platform.js',
+  'closure/goog/useragent/useragent.js',
+  'closure/goog/debug/debug.js',
+  'closure/goog/dom/browserfeature.js',
+  'closure/goog/dom/safe.js',
+  'closure/goog/math/coordinate.js',
+  'closure/goog/math/size.js',
+  'closure/goog/dom/dom.js',
+  'closure/goog/structs/inversionmap.js',
+  'closure/goog/i18n/graphemebreak.js',
+  'closure/goog/format/format.js',
+  'closure/goog/html/legacyconversions.js',
+  'closure/goog/i18n/bidiformatter.js',
+  'closure/goog/soy/data.js',
+  'closure/goog/soy/soy.js',
+  'closure/goog/string/stringbuffer.js',
+].map(file =>
+  path.join(require.resolve('google-closure-library/package.json'), '..', file)
+);
+
+/**
+ * Reads the closure and soy support code, in the order it has to be evaluated.
+ * @param {string} soyUtilsPath
+ * @param {Array.<string>} contextJsPaths Additional support code.
+ * @return {Promise<Array.<string>>}
+ */
+export function readSupportFiles(
+  soyUtilsPath: string,
+  contextJsPaths: Array<string>
+): Promise<Array<string>> {
+  return Promise.all(
+    CLOSURE_PATHS.concat([soyUtilsPath], contextJsPaths).map(file =>
+      promisify(fs.readFile)(file, 'utf8')
+    )
+  );
+}
+
+export default CLOSURE_PATHS;
@@ -7,3 +7,8 @@
 // Public API.  See function declarations for JSDoc.
 
 export { default, default as SoyCompiler } from './SoyCompiler';
+export { default as SoyCompileError } from './SoyCompileError';
+export { default as SoyRenderTimeoutError } from './SoyRenderTimeoutError';
+export { default as SoyRenderError } from './SoyRenderError';
+export { default as SoyParamError } from './SoyParamError';
+export { default as createExpressEngine } from './createExpressEngine';
@@ -0,0 +1,48 @@
+// @flow
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @return {number} The Levenshtein distance between two strings.
+ */
+function editDistance(a: string, b: string): number {
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) previous.push(j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+      current.push(
+        Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + substitution
+        )
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the names closest to a misspelled one.
+ * @param {string} name
+ * @param {Array.<string>} candidates
+ * @param {number=} max Maximum number of suggestions.
+ * @return {Array.<string>} Closest first.
+ */
+export default function suggestNames(
+  name: string,
+  candidates: Array<string>,
+  max: number = 3
+): Array<string> {
+  const limit = Math.max(2, Math.floor(name.length / 3));
+  return candidates
+    .map(candidate => ({ candidate, distance: editDistance(name, candidate) }))
+    .filter(({ distance }) => distance <= limit)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, max)
+    .map(({ candidate }) => candidate);
+}
@@ -0,0 +1,127 @@
+// @flow
+
+import type { SoyTemplateInfo } from './parseSoyFile';
+
+/**
+ * Soy types whose values are strings or sanitized content objects.
+ */
+const STRING_TYPES = [
+  'string',
+  'html',
+  'uri',
+  'js',
+  'css',
+  'attributes',
+  'trusted_resource_uri',
+];
+
+/**
+ * Splits a type expression at a separator, ignoring separators nested in `<>` or
+ * `[]`.
+ * @param {string} type
+ * @param {string} separator
+ * @return {Array.<string>}
+ */
+function splitTopLevel(type: string, separator: string): Array<string> {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < type.length; i++) {
+    const char = type.charAt(i);
+    if (char === '<' || char === '[') depth += 1;
+    if (char === '>' || char === ']') depth -= 1;
+    if (char === separator && depth === 0) {
+      parts.push(type.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(type.slice(start).trim());
+  return parts;
+}
+
+/**
+ * Checks a value against a soy type expression.  Only the outer type of lists,
+ * maps and records is checked.
+ * @param {string} type
+ * @param {*} value
+ * @return {?boolean} null if the type is not known, e.g. a proto or an enum.
+ */
+function matchesType(type: string, value: mixed): ?boolean {
+  const union = splitTopLevel(type, '|');
+  if (union.length > 1) {
+    const results = union.map(t => matchesType(t, value));
+    if (results.some(result => result === true)) return true;
+    return results.some(result => result === null) ? null : false;
+  }
+
+  if (type === '?' || type === 'any') return true;
+  if (type === 'null') return value === null || value === undefined;
+  if (STRING_TYPES.indexOf(type) !== -1) {
+    // Sanitized content objects carry their string in `content`.
+    return (
+      typeof value === 'string' ||
+      (!!value && typeof value === 'object' && 'content' in value)
+    );
+  }
+  if (type === 'bool') return typeof value === 'boolean';
+  if (type === 'int') return Number.isInteger(value);
+  if (type === 'float' || type === 'number') return typeof value === 'number';
+  if (/^list</.test(type)) return Array.isArray(value);
+  if (/^(map|legacy_object_map)</.test(type) || /^\[/.test(type)) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+  return null;
+}
+
+/**
+ * @param {*} value
+ * @return {string} The soy name of the type of a value.
+ */
+export function describeType(value: mixed): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'list';
+  if (typeof value === 'boolean') return 'bool';
+  return typeof value;
+}
+
+/**
+ * Checks render data against the params a template declares.  Reports missing
+ * required params, keys that are not declared params and values that do not
+ * match the declared type.  Templates declaring no params accept any data.
+ * @param {SoyTemplateInfo} template
+ * @param {?Object} data
+ * @return {Array.<string>} The problems found.
+ */
+export default function validateParams(
+  template: SoyTemplateInfo,
+  data: ?Object
+): Array<string> {
+  const { params } = template;
+  if (!params.length) return [];
+
+  const values = data || {};
+  const problems = [];
+  params.forEach(param => {
+    const value = values[param.name];
+    if (value === undefined) {
+      if (param.required) {
+        problems.push(`missing required param [${param.name}]`);
+      }
+      return;
+    }
+    if (value === null && !param.required) return;
+    if (param.type && matchesType(param.type, value) === false) {
+      problems.push(
+        `param [${param.name}] should be ${param.type}, got ${describeType(
+          value
+        )}`
+      );
+    }
+  });
+
+  Object.keys(values)
+    .filter(key => !params.some(param => param.name === key))
+    .forEach(key => problems.push(`unknown param [${key}]`));
+
+  return problems;
+}
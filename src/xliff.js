@@ -0,0 +1,195 @@
+// @flow
+
+/**
+ * A message of an XLIFF file, as written by the soy message extractor.
+ */
+export type XliffMessage = {
+  id: string,
+  description: ?string,
+  source: string,
+  target: ?string,
+};
+
+/**
+ * The messages of an XLIFF file.
+ */
+export type XliffFile = {
+  sourceLocale: ?string,
+  targetLocale: ?string,
+  messages: Array<XliffMessage>,
+};
+
+const TRANS_UNIT_PATTERN = /<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit>/g;
+
+const PLACEHOLDER_PATTERN = /<x\b[^>]*\bid="([^"]*)"[^>]*\/>/g;
+
+const ENTITIES = {
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  amp: '&',
+};
+
+/**
+ * @param {string} text
+ * @return {string} The text with the XML entities replaced.
+ */
+function decodeEntities(text: string): string {
+  return text.replace(
+    /&(lt|gt|quot|apos|amp|#\d+|#x[\da-fA-F]+);/g,
+    (entity, name) => {
+      if (name.charAt(0) !== '#') return ENTITIES[name];
+      return String.fromCharCode(
+        name.charAt(1) === 'x'
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10)
+      );
+    }
+  );
+}
+
+/**
+ * @param {string} attributes The attributes of an element.
+ * @param {string} name
+ * @return {?string} The value of the attribute, or null if it is missing.
+ */
+function getAttribute(attributes: string, name: string): ?string {
+  const match = new RegExp(`(?:^|\\s)${name}="([^"]*)"`).exec(attributes);
+  return match ? decodeEntities(match[1]) : null;
+}
+
+/**
+ * @param {string} xml
+ * @param {string} name
+ * @return {?string} The content of the first element with the name, or null.
+ */
+function getElement(xml: string, name: string): ?string {
+  const match = new RegExp(
+    `<${name}\\b[^>]*?(?:/>|>([\\s\\S]*?)</${name}>)`
+  ).exec(xml);
+  if (!match) return null;
+  return match[1] || '';
+}
+
+/**
+ * Lists the placeholders of a message, the `<x id="..."/>` elements, each once
+ * and sorted.
+ * @param {string} text The source or target of a message.
+ * @return {Array.<string>}
+ */
+export function getPlaceholders(text: string): Array<string> {
+  const placeholders = [];
+  text.replace(PLACEHOLDER_PATTERN, (match, id) => {
+    if (placeholders.indexOf(id) === -1) placeholders.push(id);
+    return match;
+  });
+  return placeholders.sort();
+}
+
+/**
+ * Parses an XLIFF 1.2 file.  Sources and targets are kept as XML, so that their
+ * placeholders can be compared.
+ * @param {string} xml
+ * @return {XliffFile}
+ */
+export function parseXliff(xml: string): XliffFile {
+  const fileMatch = /<file\b([^>]*)>/.exec(xml);
+  const fileAttributes = fileMatch ? fileMatch[1] : '';
+  const messages = [];
+  xml.replace(TRANS_UNIT_PATTERN, (match, attributes, content) => {
+    const description = getElement(content, 'note');
+    messages.push({
+      id: getAttribute(attributes, 'id') || '',
+      description:
+        typeof description === 'string' ? decodeEntities(description) : null,
+      source: getElement(content, 'source') || '',
+      target: getElement(content, 'target'),
+    });
+    return match;
+  });
+  return {
+    sourceLocale: getAttribute(fileAttributes, 'source-language'),
+    targetLocale: getAttribute(fileAttributes, 'target-language'),
+    messages,
+  };
+}
+
+/**
+ * A message of a translation check.
+ */
+export type XliffMessageRef = { id: string, description: ?string };
+
+/**
+ * A translated message whose placeholders differ from the source.
+ */
+export type XliffPlaceholderMismatch = XliffMessageRef & {
+  missing: Array<string>,
+  unexpected: Array<string>,
+};
+
+/**
+ * How the translations of a locale compare to the extracted messages.
+ */
+export type XliffComparison = {
+  total: number,
+  translated: number,
+  coverage: number,
+  missing: Array<XliffMessageRef>,
+  obsolete: Array<XliffMessageRef>,
+  placeholderMismatches: Array<XliffPlaceholderMismatch>,
+};
+
+/**
+ * Compares translations to the messages extracted from the templates.  A message
+ * is missing if it has no target, obsolete if it was not extracted, and its
+ * placeholders mismatch if the target does not use the same ones as the source.
+ * @param {Array.<XliffMessage>} extracted
+ * @param {Array.<XliffMessage>} translations
+ * @return {XliffComparison} `coverage` is the percentage of translated messages.
+ */
+export function compareMessages(
+  extracted: Array<XliffMessage>,
+  translations: Array<XliffMessage>
+): XliffComparison {
+  const targets = {};
+  translations.forEach(message => {
+    if (message.target) targets[message.id] = message.target;
+  });
+  const ref = message => ({ id: message.id, description: message.description });
+
+  const missing = [];
+  const placeholderMismatches = [];
+  extracted.forEach(message => {
+    const target = targets[message.id];
+    if (!target) {
+      missing.push(ref(message));
+      return;
+    }
+    const expected = getPlaceholders(message.source);
+    const actual = getPlaceholders(target);
+    const absent = expected.filter(id => actual.indexOf(id) === -1);
+    const unexpected = actual.filter(id => expected.indexOf(id) === -1);
+    if (absent.length || unexpected.length) {
+      placeholderMismatches.push({
+        ...ref(message),
+        missing: absent,
+        unexpected,
+      });
+    }
+  });
+
+  const ids = extracted.map(message => message.id);
+  const total = extracted.length;
+  const translated = total - missing.length;
+  return {
+    total,
+    translated,
+    coverage: total ? Math.round((translated / total) * 1000) / 10 : 100,
+    missing,
+    obsolete: translations
+      .filter(message => ids.indexOf(message.id) === -1)
+      .map(ref),
+    placeholderMismatches,
+  };
+}
@@ -1,9 +1,30 @@
 import child_process from 'child_process';
-import fs, { watchFile } from 'fs-extra';
+import EventEmitter from 'events';
+import fs, { watch, watchFile } from 'fs-extra';
 import path from 'path';
+import vm from 'vm';
 import delay from 'delay';
+import { PassThrough } from 'stream';
 import { promisify } from 'util';
-import { SoyCompiler } from '../src/soynode';
+import {
+  SoyCompiler,
+  SoyCompileError,
+  SoyRenderTimeoutError,
+  SoyRenderError,
+  createExpressEngine,
+  SoyParamError,
+} from '../src/soynode';
+import SoyCompilerDaemon from '../src/SoyCompilerDaemon';
+import parseSoyFile from '../src/parseSoyFile';
+import validateParams from '../src/validateParams';
+import SoyDependencyGraph from '../src/SoyDependencyGraph';
+import {
+  buildSourceMap,
+  encodeVlq,
+  mapTemplateLines,
+} from '../src/soySourceMaps';
+import { getPlaceholders, parseXliff } from '../src/xliff';
+import runCli from '../src/cli';
 
 const { now } = Date;
 const { spawn } = child_process;
@@ -12,6 +33,7 @@ const tmpPath = '/tmp/soynode';
 
 let watchFiles;
 let watchCallbacks;
+let watchListeners;
 let spawnOpts;
 let spawnArgs;
 let time;
@@ -20,6 +42,70 @@ const tmpDirs = {
   tmp1: path.join(__dirname, 'tmp1'),
   tmp2: path.join(__dirname, 'tmp2'),
 };
+const inputDir = path.join(tmpDirs.tmp2, 'src');
+
+/**
+ * Stands in for the java compiler.  Writes an output file for each input, declaring
+ * the namespace and a function per template that returns its own name, or throws
+ * `opt_data.throwError`.
+ */
+const FAKE_COMPILER = `
+  const fs = require('fs');
+  const path = require('path');
+  const args = process.argv.slice(1);
+  const i = args.indexOf('--outputPathFormat');
+  const j = args.indexOf('--locales');
+  const locales = j === -1 ? [''] : args[j + 1].split(',');
+  args.slice(i + 2).forEach(file => {
+    const source = fs.readFileSync(file, 'utf8');
+    const namespace = /{namespace\\s+([\\w.]+)/.exec(source)[1];
+    const parts = namespace.split('.');
+    let code = 'if (typeof ' + parts[0] + ' == "undefined") { var ' + parts[0] + ' = {}; }\\n';
+    for (let k = 2; k <= parts.length; k++) {
+      const ns = parts.slice(0, k).join('.');
+      code += 'if (typeof ' + ns + ' == "undefined") { ' + ns + ' = {}; }\\n';
+    }
+    source.replace(/{template\\s+\\.(\\w+)/g, (match, name) => {
+      code += namespace + '.' + name + ' = function(opt_data) {\\n' +
+        '  if (opt_data && opt_data.throwError) throw new Error(opt_data.throwError);\\n' +
+        '  return "' + namespace + '.' + name + '";\\n};\\n';
+    });
+    locales.forEach(locale => {
+      const out = args[i + 1]
+        .replace('{LOCALE}', locale)
+        .replace('{INPUT_DIRECTORY}', path.dirname(file))
+        .replace('{INPUT_FILE_NAME}', path.basename(file));
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, code);
+    });
+  });`;
+
+/**
+ * Replaces java with FAKE_COMPILER, recording the compiler arguments in spawnArgs.
+ */
+const useFakeCompiler = () => {
+  child_process.spawn = (cmd, args, opts) => {
+    spawnArgs.push(args);
+    return spawn(process.execPath, ['-e', FAKE_COMPILER, '--', ...args], opts);
+  };
+};
+
+/**
+ * Copies the test templates to inputDir and replaces java with FAKE_COMPILER.
+ */
+const useFakeTemplates = () => {
+  fs.copySync(assetsPath, inputDir);
+  useFakeCompiler();
+};
+
+/**
+ * Reports a change to a file of a watched directory and waits for the recompile.
+ */
+const changeFile = async (dir, file) => {
+  await delay(1);
+  watchListeners[dir]('change', file);
+  return soyCompiler._directoryWatchers[dir].flush();
+};
 
 const assertTemplatesContents = (locale, opt_soyCompiler) => {
   const underTest = opt_soyCompiler || soyCompiler;
@@ -80,6 +166,12 @@ beforeEach(() => {
     watchCallbacks.push(callback);
   };
 
+  watchListeners = {};
+  fs.watch = (dir, opts, listener) => {
+    watchListeners[dir] = listener;
+    return { on() {}, close() {} };
+  };
+
   spawnOpts = [];
   spawnArgs = [];
   child_process.spawn = function(...args) {
@@ -90,15 +182,17 @@ beforeEach(() => {
   };
 });
 
+afterEach(() => {
+  Date.now = now;
+  fs.watchFile = watchFile;
+  fs.watch = watch;
+  child_process.spawn = spawn;
+  fs.removeSync(tmpDirs.tmp1);
+  fs.removeSync(tmpDirs.tmp2);
+});
+
 describe('Basic', () => {
   if (process.env.TEST_TIMEOUT) this.timeout(process.env.TEST_TIMEOUT);
-  afterEach(() => {
-    Date.now = now;
-    fs.watchFile = watchFile;
-    fs.removeSync(tmpDirs.tmp1);
-    fs.removeSync(tmpDirs.tmp2);
-    child_process.spawn = spawn;
-  });
 
   test('check equivalence between options and default options', () => {
     const soyCompilerB = new SoyCompiler();
@@ -126,11 +220,8 @@ describe('Basic', () => {
   test('test compile templates watch', async () => {
     soyCompiler.setOptions({ allowDynamicRecompile: true });
     await soyCompiler.compileTemplates(assetsPath);
-    expect(watchFiles.map(f => path.basename(f))).toEqual([
-      'template1.soy',
-      'template2.soy',
-      'template3.soy',
-    ]);
+    await delay(1);
+    expect(Object.keys(watchListeners)).toEqual([assetsPath]);
     expect(spawnOpts).toEqual([{ cwd: assetsPath }]);
 
     const [args1] = spawnArgs;
@@ -140,15 +231,9 @@ describe('Basic', () => {
       'template3.soy',
     ]);
 
-    time += 1000;
-    await delay(1);
-    await watchCallbacks[1]();
+    await changeFile(assetsPath, 'template2.soy');
 
-    expect(watchFiles.map(f => path.basename(f))).toEqual([
-      'template1.soy',
-      'template2.soy',
-      'template3.soy',
-    ]);
+    expect(Object.keys(watchListeners)).toEqual([assetsPath]);
     expect(spawnOpts).toEqual([{ cwd: assetsPath }, { cwd: assetsPath }]);
 
     const args2 = spawnArgs[1];
@@ -174,10 +259,7 @@ describe('Basic', () => {
       'The default template'
     );
 
-    time += 1000;
-    await delay(1);
-
-    await watchCallbacks[1]();
+    await changeFile(assetsPath, 'template2.soy');
 
     expect(soyCompiler.render('template3.main', {})).toEqual(
       'The default template'
@@ -351,19 +433,1884 @@ describe('Basic', () => {
 
     const [args1] = spawnArgs;
     expect(args1.pop()).toEqual('template3.soy');
-    time += 1000;
-    await delay(1);
 
-    await watchCallbacks[1]();
+    await changeFile(assetsPath, 'template2.soy');
 
     const [args2] = spawnArgs;
     expect(args2.pop()).toEqual('template2.soy');
-    time += 1000;
-    await delay(1);
 
-    await watchCallbacks[0]();
+    await changeFile(assetsPath, 'template1.soy');
 
     const [args3] = spawnArgs;
     expect(args3.pop()).toEqual('template1.soy');
   });
 });
+
+describe('Compile diagnostics', () => {
+  /**
+   * Replaces the java compiler with a node process writing `stderr` and exiting with `exitCode`.
+   */
+  const fakeCompiler = (stderr, exitCode) => {
+    child_process.spawn = (cmd, args, opts) =>
+      spawn(
+        process.execPath,
+        [
+          '-e',
+          `process.stderr.write(${JSON.stringify(stderr)});` +
+            `process.exit(${exitCode});`,
+        ],
+        opts
+      );
+  };
+
+  test('rejects with a SoyCompileError carrying the parsed diagnostics', async () => {
+    fakeCompiler(
+      'Exception in thread "main" com.google.template.soy.base.SoySyntaxException: ' +
+        "In file template2.soy:16:1, template template2.formletterCall: Undefined template 'x'.\n" +
+        '\tat com.google.template.soy.SoyFileSet.compile(SoyFileSet.java:1)\n',
+      1
+    );
+    soyCompiler.setOptions({ loadCompiledTemplates: false });
+
+    let error;
+    try {
+      await soyCompiler.compileTemplates(assetsPath);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(SoyCompileError);
+    expect(error.diagnostics).toEqual([
+      {
+        file: 'template2.soy',
+        line: 16,
+        column: 1,
+        severity: 'error',
+        message: "Undefined template 'x'.",
+        snippet: '{call template1.formletter data="all" /}\n^',
+      },
+    ]);
+  });
+
+  test('keeps unrecognized compiler output as a diagnostic', async () => {
+    fakeCompiler('Something went wrong\n\tat Foo.bar(Foo.java:1)\n', 1);
+    soyCompiler.setOptions({ loadCompiledTemplates: false });
+
+    await expect(soyCompiler.compileTemplates(assetsPath)).rejects.toEqual(
+      expect.objectContaining({
+        diagnostics: [
+          {
+            file: null,
+            line: null,
+            column: null,
+            severity: 'error',
+            message: 'Something went wrong',
+            snippet: null,
+          },
+        ],
+      })
+    );
+  });
+
+  test('resolves with the warnings of a successful compile', async () => {
+    fakeCompiler(
+      'template1.soy:7:1: warning: Deprecated syntax.\n' +
+        '{template .formletter}\n' +
+        '^\n',
+      0
+    );
+    soyCompiler.setOptions({ loadCompiledTemplates: false });
+
+    const warnings = await soyCompiler.compileTemplates(assetsPath);
+    expect(warnings).toEqual([
+      {
+        file: 'template1.soy',
+        line: 7,
+        column: 1,
+        severity: 'warning',
+        message: 'Deprecated syntax.',
+        snippet: '{template .formletter}\n^',
+      },
+    ]);
+  });
+});
+
+describe('Compiler daemon', () => {
+  // Stands in for the java worker: echoes each job and exits when asked to crash.
+  const fakeWorker = `
+    require('readline').createInterface({ input: process.stdin }).on('line', line => {
+      const args = line.split(' ').map(arg => Buffer.from(arg, 'base64').toString());
+      if (args[1] === 'crash') process.exit(3);
+      process.stderr.write(args.join(',') + '\\n__soynode_done__ ' + (args[1] === 'fail' ? 1 : 0) + '\\n');
+    });`;
+
+  let daemon;
+
+  beforeEach(() => {
+    child_process.spawn = function(...args) {
+      spawnArgs.push(args[1]);
+      return spawn(process.execPath, ['-e', fakeWorker], args[2]);
+    };
+    daemon = new SoyCompilerDaemon('soy.jar', assetsPath);
+  });
+
+  afterEach(() => {
+    daemon.close();
+  });
+
+  test('runs jobs in a single worker', async () => {
+    expect(await daemon.run('Main', ['a', 'b'])).toEqual({
+      stderr: 'Main,a,b',
+      failed: false,
+    });
+    expect(await daemon.run('Main', ['fail'])).toEqual({
+      stderr: 'Main,fail',
+      failed: true,
+    });
+    expect(spawnArgs).toHaveLength(1);
+    expect(spawnArgs[0].slice(0, 2)).toEqual(['-classpath', 'soy.jar']);
+  });
+
+  test('restarts the worker after a crash', async () => {
+    const crashed = await daemon.run('Main', ['crash']);
+    expect(crashed.failed).toBe(true);
+    expect(await daemon.run('Main', ['a'])).toEqual({
+      stderr: 'Main,a',
+      failed: false,
+    });
+    expect(spawnArgs).toHaveLength(2);
+  });
+});
+
+describe('Sharded compilation', () => {
+  test('parses namespaces, templates and calls', () => {
+    const source = fs.readFileSync(
+      path.join(__dirname, '../examples/message.soy'),
+      'utf8'
+    );
+    const info = parseSoyFile(source);
+    expect(info.namespace).toEqual('example.message');
+    expect(info.templates.map(t => [t.name, t.line, t.calls])).toEqual([
+      [
+        'example.message.hello',
+        7,
+        ['example.message.name', 'example.delegates.test'],
+      ],
+      ['example.message.bye', 16, ['example.message.name']],
+      ['example.message.name', 24, []],
+    ]);
+  });
+
+  test('keeps calling files in the same shard', async () => {
+    child_process.spawn = (cmd, args, opts) => {
+      spawnArgs.push(args);
+      return spawn(process.execPath, ['-e', ''], opts);
+    };
+    soyCompiler.setOptions({
+      compileConcurrency: 2,
+      loadCompiledTemplates: false,
+    });
+
+    await soyCompiler.compileTemplates(assetsPath);
+
+    const shards = spawnArgs.map(args =>
+      args.filter(arg => /\.soy$/.test(arg))
+    );
+    expect(shards).toHaveLength(2);
+    expect(shards).toContainEqual(['template1.soy', 'template2.soy']);
+    expect(shards).toContainEqual(['template3.soy']);
+  });
+});
+
+describe('Build manifest', () => {
+  beforeEach(() => {
+    useFakeTemplates();
+    soyCompiler.setOptions({
+      outputDir: tmpDirs.tmp1,
+      uniqueDir: false,
+      precompiledDir: tmpDirs.tmp1,
+      loadCompiledTemplates: false,
+    });
+  });
+
+  const compiledFiles = args => args.filter(arg => /\.soy$/.test(arg));
+
+  test('only recompiles changed sources', async () => {
+    await soyCompiler.compileTemplates(inputDir);
+    await soyCompiler.compileTemplates(inputDir);
+    expect(spawnArgs).toHaveLength(1);
+
+    fs.appendFileSync(path.join(inputDir, 'template3.soy'), '\n');
+    await soyCompiler.compileTemplates(inputDir);
+    expect(spawnArgs).toHaveLength(2);
+    expect(compiledFiles(spawnArgs[1])).toEqual(['template3.soy']);
+  });
+
+  test('recompiles everything when the compiler flags change', async () => {
+    await soyCompiler.compileTemplates(inputDir);
+    soyCompiler.setOptions({ shouldGenerateJsdoc: true });
+    await soyCompiler.compileTemplates(inputDir);
+    expect(spawnArgs).toHaveLength(2);
+    expect(compiledFiles(spawnArgs[1])).toHaveLength(3);
+  });
+
+  test('recompiles when a precompiled output is missing', async () => {
+    await soyCompiler.compileTemplates(inputDir);
+    fs.removeSync(path.join(tmpDirs.tmp1, 'template1.soy.js'));
+    await soyCompiler.compileTemplates(inputDir);
+    expect(compiledFiles(spawnArgs[1])).toEqual(['template1.soy']);
+  });
+
+  test('recompiles when a lower case message file changes', async () => {
+    const messageFile = path.join(inputDir, 'i18n', 'pt_br.xlf');
+    fs.outputFileSync(messageFile, '<xliff/>');
+    soyCompiler.setOptions({
+      locales: ['pt-BR'],
+      messageFilePathFormat: 'i18n/{LOCALE_LOWER_CASE}.xlf',
+    });
+    await soyCompiler.compileTemplates(inputDir);
+    await soyCompiler.compileTemplates(inputDir);
+    expect(spawnArgs).toHaveLength(1);
+
+    fs.appendFileSync(messageFile, '\n');
+    await soyCompiler.compileTemplates(inputDir);
+    expect(spawnArgs).toHaveLength(2);
+  });
+});
+
+describe('Dependency graph', () => {
+  test('reports dependencies and dependents of templates', async () => {
+    const examplesPath = path.join(__dirname, '../examples');
+    const graph = new SoyDependencyGraph();
+    await graph.update(examplesPath, ['message.soy', 'delegates.soy']);
+
+    expect(graph.getDependencies('example.message.hello').sort()).toEqual([
+      'example.delegates.delegated',
+      'example.delegates.test',
+      'example.message.name',
+    ]);
+    expect(graph.getDependents('example.message.name').sort()).toEqual([
+      'example.message.bye',
+      'example.message.hello',
+    ]);
+    expect(
+      graph.getDependentFiles([path.join(examplesPath, 'delegates.soy')])
+    ).toEqual([path.join(examplesPath, 'message.soy')]);
+  });
+
+  test('updates its lookups when files change', async () => {
+    const examplesPath = path.join(__dirname, '../examples');
+    const graph = new SoyDependencyGraph();
+    const delegates = path.join(examplesPath, 'delegates.soy');
+    const message = path.join(examplesPath, 'message.soy');
+    await graph.update(examplesPath, ['message.soy']);
+    expect(graph.getFileDependencies(message)).toEqual([]);
+
+    await graph.update(examplesPath, ['delegates.soy']);
+    expect(graph.getFileDependencies(message)).toEqual([delegates]);
+    expect(graph.getTemplates('example.delegates.test')).not.toEqual([]);
+
+    graph.removeFile(delegates);
+    expect(graph.getFileDependencies(message)).toEqual([]);
+    expect(graph.getTemplates('example.delegates.test')).toEqual([]);
+  });
+
+  test('recompiles the dependents of a changed file', async () => {
+    child_process.spawn = (cmd, args, opts) => {
+      spawnArgs.push(args);
+      return spawn(process.execPath, ['-e', ''], opts);
+    };
+    soyCompiler.setOptions({
+      allowDynamicRecompile: true,
+      loadCompiledTemplates: false,
+    });
+    await soyCompiler.compileTemplates(assetsPath);
+    expect(soyCompiler.getDependents('template1.formletter')).toEqual([
+      'template2.formletterCall',
+    ]);
+
+    await changeFile(assetsPath, 'template1.soy');
+
+    expect(spawnArgs).toHaveLength(2);
+    expect(spawnArgs[1].slice(-2)).toEqual(['template1.soy', 'template2.soy']);
+  });
+});
+
+describe('Directory watching', () => {
+  beforeEach(() => {
+    useFakeTemplates();
+    soyCompiler.setOptions({
+      allowDynamicRecompile: true,
+      outputDir: tmpDirs.tmp1,
+      uniqueDir: false,
+    });
+  });
+
+  const compiledFiles = args => args.filter(arg => /\.soy$/.test(arg));
+
+  test('compiles added files and unloads removed ones', async () => {
+    await soyCompiler.compileTemplates(inputDir);
+    expect(soyCompiler.render('template3.main')).toEqual('template3.main');
+
+    fs.writeFileSync(
+      path.join(inputDir, 'template4.soy'),
+      '{namespace template4}\n\n{template .hello}\nHello{/template}\n'
+    );
+    fs.removeSync(path.join(inputDir, 'template3.soy'));
+    await delay(1);
+    watchListeners[inputDir]('rename', 'template4.soy');
+    watchListeners[inputDir]('rename', 'template3.soy');
+    await soyCompiler._directoryWatchers[inputDir].flush();
+
+    expect(compiledFiles(spawnArgs[1])).toEqual(['template4.soy']);
+    expect(soyCompiler.render('template4.hello')).toEqual('template4.hello');
+    expect(() => soyCompiler.render('template3.main')).toThrow(
+      'Unknown template'
+    );
+    expect(fs.existsSync(path.join(tmpDirs.tmp1, 'template3.soy.js'))).toBe(
+      false
+    );
+  });
+
+  test('debounces bursts of changes', async () => {
+    soyCompiler.setOptions({ recompileDebounceMs: 10 });
+    await soyCompiler.compileTemplates(inputDir);
+    await delay(1);
+
+    watchListeners[inputDir]('change', 'template3.soy');
+    watchListeners[inputDir]('rename', 'template3.soy');
+    watchListeners[inputDir]('change', 'template3.soy');
+    await delay(200);
+
+    expect(spawnArgs).toHaveLength(2);
+    expect(compiledFiles(spawnArgs[1])).toEqual(['template3.soy']);
+  });
+
+  test('ignores removed files that were not compiled', async () => {
+    await soyCompiler.compileTemplates(inputDir);
+    const allFiles = ['template1.soy', 'template2.soy', 'template3.soy'];
+    await soyCompiler._recompileDirectoryChanges(
+      inputDir,
+      tmpDirs.tmp1,
+      allFiles,
+      { added: [], changed: [], removed: ['unknown.soy'] },
+      new EventEmitter()
+    );
+
+    expect(allFiles).toEqual([
+      'template1.soy',
+      'template2.soy',
+      'template3.soy',
+    ]);
+    expect(soyCompiler.render('template3.main')).toEqual('template3.main');
+  });
+
+  test('watches the files of compileTemplateFiles', async () => {
+    await soyCompiler.compileTemplateFiles([
+      path.join(inputDir, 'template1.soy'),
+      path.join(inputDir, 'template2.soy'),
+    ]);
+    expect(watchFiles.map(f => path.basename(f))).toEqual([
+      'template1.soy',
+      'template2.soy',
+    ]);
+    expect(watchListeners).toEqual({});
+  });
+});
+
+describe('Lifecycle events', () => {
+  beforeEach(() => {
+    useFakeTemplates();
+    soyCompiler.setOptions({ outputDir: tmpDirs.tmp1, uniqueDir: false });
+  });
+
+  const record = (...names) => {
+    const events = [];
+    names.forEach(name =>
+      soyCompiler.on(name, payload => events.push([name, payload]))
+    );
+    return events;
+  };
+
+  test('emits compile and reload events', async () => {
+    const events = record(
+      'compileStart',
+      'compileSuccess',
+      'templatesReloaded'
+    );
+    await soyCompiler.compileTemplates(inputDir);
+
+    expect(events.map(([name]) => name)).toEqual([
+      'compileStart',
+      'templatesReloaded',
+      'compileSuccess',
+    ]);
+    const [[, start], [, reloaded], [, success]] = events;
+    expect(start).toEqual({
+      inputDir,
+      outputDir: tmpDirs.tmp1,
+      files: ['template1.soy', 'template2.soy', 'template3.soy'],
+      vmTypes: ['default'],
+    });
+    expect(reloaded.vmType).toEqual('default');
+    expect(reloaded.files.sort()).toEqual([
+      path.join(tmpDirs.tmp1, 'template1.soy.js'),
+      path.join(tmpDirs.tmp1, 'template2.soy.js'),
+      path.join(tmpDirs.tmp1, 'template3.soy.js'),
+    ]);
+    expect(success.warnings).toEqual([]);
+    expect(typeof success.duration).toEqual('number');
+  });
+
+  test('emits compileError and fileChanged on recompiles', async () => {
+    soyCompiler.setOptions({ allowDynamicRecompile: true });
+    await soyCompiler.compileTemplates(inputDir);
+    const events = record('fileChanged', 'compileError');
+
+    child_process.spawn = () => {
+      throw new Error('no compiler');
+    };
+    await changeFile(inputDir, 'template2.soy');
+
+    expect(events.map(([name]) => name)).toEqual([
+      'fileChanged',
+      'compileError',
+    ]);
+    expect(events[0][1]).toEqual({
+      inputDir,
+      added: [],
+      changed: ['template2.soy'],
+      removed: [],
+    });
+    expect(events[1][1].files).toContain('template2.soy');
+    expect(events[1][1].error.message).toEqual('no compiler');
+  });
+
+  test('ignores errors thrown by listeners', async () => {
+    soyCompiler.on('compileStart', () => {
+      throw new Error('listener');
+    });
+    await soyCompiler.compileTemplates(inputDir);
+    expect(soyCompiler.render('template3.main')).toEqual('template3.main');
+  });
+});
+
+describe('Closing', () => {
+  const { unwatchFile } = fs;
+
+  beforeEach(() => {
+    useFakeTemplates();
+    soyCompiler.setOptions({ outputDir: tmpDirs.tmp1 });
+  });
+
+  afterEach(() => {
+    fs.unwatchFile = unwatchFile;
+  });
+
+  test('stops watching and erases the output', async () => {
+    const unwatched = [];
+    fs.unwatchFile = file => unwatched.push(file);
+    soyCompiler.setOptions({ allowDynamicRecompile: true });
+    await soyCompiler.compileTemplateFiles([
+      path.join(inputDir, 'template1.soy'),
+    ]);
+    await soyCompiler.compileTemplates(inputDir);
+    expect(fs.readdirSync(tmpDirs.tmp1)).toHaveLength(2);
+
+    await soyCompiler.close({ eraseOutput: true });
+
+    expect(unwatched).toEqual([path.join(inputDir, 'template1.soy')]);
+    expect(soyCompiler._directoryWatchers).toEqual({});
+    expect(fs.readdirSync(tmpDirs.tmp1)).toEqual([]);
+    expect(() => soyCompiler.render('template3.main')).toThrow(
+      'Unknown template'
+    );
+  });
+
+  test('cancels pending recompiles', async () => {
+    soyCompiler.setOptions({ allowDynamicRecompile: true });
+    await soyCompiler.compileTemplates(inputDir);
+    await delay(1);
+    watchListeners[inputDir]('change', 'template3.soy');
+
+    await soyCompiler.dispose();
+    await delay(200);
+
+    expect(spawnArgs).toHaveLength(1);
+    await expect(soyCompiler.compileTemplates(inputDir)).rejects.toThrow(
+      'Compiler is closed'
+    );
+  });
+});
+
+describe('Logging', () => {
+  const { log, warn, error } = console;
+
+  beforeEach(() => {
+    useFakeTemplates();
+    soyCompiler.setOptions({
+      outputDir: tmpDirs.tmp1,
+      uniqueDir: false,
+      precompiledDir: tmpDirs.tmp1,
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(console, { log, warn, error });
+  });
+
+  test('sends structured messages to the logger', async () => {
+    const messages = [];
+    const logger = {};
+    ['debug', 'info', 'warn', 'error'].forEach(level => {
+      logger[level] = (fields, message) =>
+        messages.push({ level, fields, message });
+    });
+    soyCompiler.setOptions({ logger });
+    await soyCompiler.compileTemplates(inputDir);
+
+    expect(messages).toContainEqual({
+      level: 'info',
+      fields: { precompiledDir: tmpDirs.tmp1, hits: 0, misses: 3 },
+      message: 'No usable precompiled files',
+    });
+    const loaded = messages.find(m => m.message === 'Loaded templates');
+    expect(loaded.level).toEqual('debug');
+    expect(loaded.fields.vmType).toEqual('default');
+    expect(typeof loaded.fields.duration).toEqual('number');
+  });
+
+  test('falls back to less severe levels', () => {
+    const messages = [];
+    soyCompiler.setOptions({
+      logger: { log: (fields, message) => messages.push(['log', message]) },
+    });
+    const logger = soyCompiler._getLogger();
+    expect(soyCompiler._getLogger()).toBe(logger);
+    logger.debug({}, 'dropped');
+    logger.info({}, 'info');
+    logger.error({}, 'error');
+    expect(messages).toEqual([['log', 'info'], ['log', 'error']]);
+  });
+
+  test('passes winston loggers the message first', () => {
+    const messages = [];
+    const winston = { transports: [], add() {} };
+    ['info', 'warn'].forEach(level => {
+      winston[level] = (message, meta) => messages.push([level, message, meta]);
+    });
+    soyCompiler.setOptions({ logger: winston });
+    soyCompiler._getLogger().info({ file: 'a.soy' }, 'info');
+    soyCompiler._getLogger().error({}, 'error');
+    expect(messages).toEqual([
+      ['info', 'info', { file: 'a.soy' }],
+      ['warn', 'error', {}],
+    ]);
+  });
+
+  test('logs nothing when the logger is false', async () => {
+    const calls = [];
+    console.log = (...args) => calls.push(args);
+    console.warn = console.log;
+    console.error = console.log;
+    soyCompiler.setOptions({ logger: false });
+    await soyCompiler.compileTemplates(inputDir);
+    Object.assign(console, { log, warn, error });
+
+    expect(calls).toEqual([]);
+  });
+});
+
+describe('Hot swapping', () => {
+  beforeEach(() => {
+    useFakeTemplates();
+    soyCompiler.setOptions({
+      allowDynamicRecompile: true,
+      outputDir: tmpDirs.tmp1,
+      uniqueDir: false,
+    });
+  });
+
+  test('recompiles into a fresh context', async () => {
+    await soyCompiler.compileTemplates(inputDir);
+    const context = soyCompiler.getVMContext();
+    const stale = soyCompiler.get('template3.main');
+    const live = soyCompiler.get('template3.main', null, { live: true });
+    expect(live()).toEqual('template3.main');
+
+    fs.writeFileSync(
+      path.join(inputDir, 'template3.soy'),
+      '{namespace template3}\n\n{template .renamed}\n{/template}\n'
+    );
+    await changeFile(inputDir, 'template3.soy');
+
+    expect(soyCompiler.getVMContext()).not.toBe(context);
+    expect(stale()).toEqual('template3.main');
+    expect(() => live()).toThrow('Unknown template');
+    expect(soyCompiler.render('template3.renamed')).toEqual(
+      'template3.renamed'
+    );
+    expect(soyCompiler.render('template1.formletter')).toEqual(
+      'template1.formletter'
+    );
+  });
+
+  test('carries injected globals over to the fresh context', async () => {
+    await soyCompiler.compileTemplates(inputDir);
+    soyCompiler.getVMContext().injected = 'kept';
+
+    await changeFile(inputDir, 'template3.soy');
+    const context = soyCompiler.getVMContext();
+    expect(context.injected).toBe('kept');
+    expect(vm.runInContext('injected', context)).toBe('kept');
+    expect(soyCompiler.render('template3.main')).toEqual('template3.main');
+
+    fs.removeSync(path.join(inputDir, 'template3.soy'));
+    await changeFile(inputDir, 'template3.soy');
+    expect(soyCompiler.getVMContext().injected).toBe('kept');
+    expect(soyCompiler.getVMContext().template3).toBeUndefined();
+  });
+
+  test('keeps rendering the old templates while reloading', async () => {
+    await soyCompiler.compileTemplates(inputDir);
+    const reloading = soyCompiler.loadCompiledTemplateFiles([
+      path.join(tmpDirs.tmp1, 'template3.soy.js'),
+    ]);
+    expect(soyCompiler.render('template3.main')).toEqual('template3.main');
+    await reloading;
+    expect(soyCompiler.render('template3.main')).toEqual('template3.main');
+    expect(soyCompiler.render('template2.formletter')).toEqual(
+      'template2.formletter'
+    );
+  });
+});
+
+describe('Render timeouts', () => {
+  beforeEach(async () => {
+    useFakeTemplates();
+    soyCompiler.setOptions({ outputDir: tmpDirs.tmp1, uniqueDir: false });
+    await soyCompiler.compileTemplates(inputDir);
+    vm.runInContext(
+      'template3.loop = function() { for (;;) {} };',
+      soyCompiler.getVMContext()
+    );
+  });
+
+  test('aborts templates running longer than renderTimeoutMs', () => {
+    soyCompiler.setOptions({ renderTimeoutMs: 50 });
+    expect(soyCompiler.render('template3.main')).toEqual('template3.main');
+
+    let error;
+    try {
+      soyCompiler.render('template3.loop');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(SoyRenderTimeoutError);
+    expect(error.templateName).toEqual('template3.loop');
+    expect(error.timeoutMs).toEqual(50);
+    expect(error.message).toEqual(
+      'soynode: Rendering template [template3.loop] timed out after 50ms'
+    );
+  });
+
+  test('takes a timeout per render', () => {
+    expect(() =>
+      soyCompiler.render('template3.loop', {}, null, null, { timeoutMs: 20 })
+    ).toThrow(SoyRenderTimeoutError);
+  });
+});
+
+describe('Streaming render', () => {
+  beforeEach(async () => {
+    useFakeTemplates();
+    soyCompiler.setOptions({ outputDir: tmpDirs.tmp1, uniqueDir: false });
+    await soyCompiler.compileTemplates(inputDir);
+  });
+
+  const readAll = stream =>
+    new Promise((resolve, reject) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => resolve(chunks));
+      stream.on('error', reject);
+    });
+
+  test('streams the output in chunks', async () => {
+    const stream = soyCompiler.renderToStream(
+      'template3.main',
+      {},
+      null,
+      null,
+      {
+        highWaterMark: 4,
+      }
+    );
+    expect(await readAll(stream)).toEqual(['temp', 'late', '3.ma', 'in']);
+  });
+
+  test('streams what stringbuilder templates append', async () => {
+    vm.runInContext(
+      'template3.sb = function(opt_data, opt_sb) {' +
+        ' opt_sb.append("a", "b"); opt_sb.append("c"); return ""; };',
+      soyCompiler.getVMContext()
+    );
+    const stream = soyCompiler.renderToStream('template3.sb');
+    expect((await readAll(stream)).join('')).toEqual('abc');
+  });
+
+  test('emits errors naming the template', async () => {
+    vm.runInContext(
+      'template3.broken = function() { throw new Error("boom"); };',
+      soyCompiler.getVMContext()
+    );
+    const stream = soyCompiler.renderToStream('template3.broken');
+    const error = await readAll(stream).catch(err => err);
+    expect(error.message).toEqual(
+      'soynode: Error rendering template [template3.broken]: boom'
+    );
+    expect(error.templateName).toEqual('template3.broken');
+    expect(stream.destroyed).toBe(true);
+  });
+});
+
+describe('Express engine', () => {
+  beforeEach(() => {
+    useFakeTemplates();
+    soyCompiler.setOptions({ outputDir: tmpDirs.tmp1, uniqueDir: false });
+  });
+
+  const renderView = (engine, view, locals) =>
+    new Promise((resolve, reject) =>
+      engine(
+        path.join(inputDir, view),
+        {
+          settings: { views: inputDir },
+          _locals: {},
+          cache: false,
+          ...locals,
+        },
+        (err, html) => (err ? reject(err) : resolve(html))
+      )
+    );
+
+  test('waits for the first compile and maps views to templates', async () => {
+    const engine = createExpressEngine(soyCompiler);
+    const rendering = renderView(engine, 'template3/main.soy', {});
+    await soyCompiler.compileTemplates(inputDir);
+    expect(await rendering).toEqual('template3.main');
+  });
+
+  test('passes locals as data and injected data', async () => {
+    await soyCompiler.compileTemplates(inputDir);
+    vm.runInContext(
+      'template3.json = function(opt_data, opt_sb, opt_ijData) {' +
+        ' return JSON.stringify([opt_data, opt_ijData]); };',
+      soyCompiler.getVMContext()
+    );
+    const engine = createExpressEngine(soyCompiler, { injectLocals: true });
+    const html = await renderView(engine, 'template3/json.soy', {
+      user: 'dan',
+    });
+    expect(JSON.parse(html)).toEqual([{ user: 'dan' }, { user: 'dan' }]);
+  });
+
+  test('fails requests with the error of the first compile', async () => {
+    const engine = createExpressEngine(soyCompiler);
+    const waiting = renderView(engine, 'template3/main.soy', {});
+    child_process.spawn = () => {
+      throw new Error('no compiler');
+    };
+    await expect(soyCompiler.compileTemplates(inputDir)).rejects.toThrow(
+      'no compiler'
+    );
+    await expect(waiting).rejects.toThrow('no compiler');
+    await expect(renderView(engine, 'template3/main.soy', {})).rejects.toThrow(
+      'no compiler'
+    );
+
+    useFakeCompiler();
+    await soyCompiler.compileTemplates(inputDir);
+    expect(await renderView(engine, 'template3/main.soy', {})).toEqual(
+      'template3.main'
+    );
+  });
+
+  test('fails requests when created after a failed compile', async () => {
+    child_process.spawn = () => {
+      throw new Error('no compiler');
+    };
+    await expect(soyCompiler.compileTemplates(inputDir)).rejects.toThrow(
+      'no compiler'
+    );
+    expect(soyCompiler.getLastCompileError()).toEqual(
+      expect.objectContaining({ message: 'no compiler' })
+    );
+
+    const engine = createExpressEngine(soyCompiler);
+    await expect(renderView(engine, 'template3/main.soy', {})).rejects.toThrow(
+      'no compiler'
+    );
+
+    useFakeCompiler();
+    await soyCompiler.compileTemplates(inputDir);
+    expect(soyCompiler.getLastCompileError()).toBe(null);
+    expect(await renderView(engine, 'template3/main.soy', {})).toEqual(
+      'template3.main'
+    );
+  });
+
+  test('passes render errors to the callback', async () => {
+    await soyCompiler.compileTemplates(inputDir);
+    const engine = createExpressEngine(soyCompiler);
+    await expect(renderView(engine, 'missing.soy', {})).rejects.toThrow(
+      'Unknown template [missing]'
+    );
+  });
+});
+
+describe('Injected data', () => {
+  beforeEach(async () => {
+    useFakeTemplates();
+    soyCompiler.setOptions({ outputDir: tmpDirs.tmp1, uniqueDir: false });
+    await soyCompiler.compileTemplates(inputDir);
+    vm.runInContext(
+      'template3.ij = function(opt_data, opt_sb, opt_ijData) {' +
+        ' return JSON.stringify(opt_ijData); };',
+      soyCompiler.getVMContext()
+    );
+  });
+
+  const renderIj = (...args) =>
+    JSON.parse(soyCompiler.render('template3.ij', ...args));
+
+  test('merges defaults, providers and explicit injected data', () => {
+    soyCompiler.setOptions({
+      defaultInjectedData: { nonce: 'default', host: 'cdn', flag: false },
+    });
+    const contexts = [];
+    soyCompiler.addInjectedDataProvider(context => {
+      contexts.push(context);
+      return { nonce: 'provided', flag: true };
+    });
+
+    expect(renderIj({ a: 1 }, { nonce: 'explicit' })).toEqual({
+      nonce: 'explicit',
+      host: 'cdn',
+      flag: true,
+    });
+    expect(contexts).toEqual([
+      {
+        templateName: 'template3.ij',
+        data: { a: 1 },
+        injectedData: { nonce: 'explicit' },
+        vmType: 'default',
+      },
+    ]);
+  });
+
+  test('removes providers', () => {
+    const remove = soyCompiler.addInjectedDataProvider(() => ({ a: 1 }));
+    expect(renderIj()).toEqual({ a: 1 });
+    remove();
+    expect(soyCompiler.render('template3.ij')).toEqual('undefined');
+  });
+});
+
+describe('Param validation', () => {
+  beforeEach(() => {
+    useFakeTemplates();
+    soyCompiler.setOptions({ outputDir: tmpDirs.tmp1, uniqueDir: false });
+  });
+
+  test('parses soydoc and typed params', () => {
+    const info = parseSoyFile(
+      '{namespace ns}\n' +
+        '/**\n * @param title\n * @param? subtitle\n */\n' +
+        '{template .page}\n' +
+        '  {@param items: list<map<string, int|null>>}\n' +
+        '  {@param? count: int|null}\n' +
+        '{/template}\n'
+    );
+    expect(info.templates[0].params).toEqual([
+      { name: 'title', required: true, type: null, description: null },
+      { name: 'subtitle', required: false, type: null, description: null },
+      {
+        name: 'items',
+        required: true,
+        type: 'list<map<string, int|null>>',
+        description: null,
+      },
+      { name: 'count', required: false, type: 'int|null', description: null },
+    ]);
+  });
+
+  test('reports missing, unknown and mistyped params', () => {
+    const template = {
+      name: 'ns.page',
+      params: [
+        { name: 'title', required: true, type: 'string|html' },
+        { name: 'count', required: false, type: 'int' },
+        { name: 'items', required: true, type: 'list<string>' },
+        { name: 'custom', required: false, type: 'ns.Proto' },
+      ],
+    };
+    expect(
+      validateParams(template, {
+        title: { content: '<b>hi</b>' },
+        items: [],
+        custom: 1,
+      })
+    ).toEqual([]);
+    expect(validateParams(template, { count: 1.5, extra: true })).toEqual([
+      'missing required param [title]',
+      'param [count] should be int, got number',
+      'missing required param [items]',
+      'unknown param [extra]',
+    ]);
+  });
+
+  test('validates render data when enabled', async () => {
+    await soyCompiler.compileTemplates(inputDir);
+    const data = { title: 'Mr.', name: 'Pupius' };
+    expect(soyCompiler.render('template1.formletter', data)).toEqual(
+      'template1.formletter'
+    );
+
+    soyCompiler.setOptions({ validateParams: 'throw' });
+    expect(() => soyCompiler.render('template1.formletter', data)).toThrow(
+      new SoyParamError('template1.formletter', [
+        'missing required param [surname]',
+        'unknown param [name]',
+      ])
+    );
+
+    const warnings = [];
+    soyCompiler.setOptions({
+      validateParams: 'warn',
+      logger: { warn: (fields, message) => warnings.push([fields, message]) },
+    });
+    soyCompiler.render('template1.formletter', data);
+    expect(warnings).toEqual([
+      [
+        {
+          templateName: 'template1.formletter',
+          problems: [
+            'missing required param [surname]',
+            'unknown param [name]',
+          ],
+        },
+        'Invalid template params',
+      ],
+    ]);
+  });
+});
+
+describe('Template introspection', () => {
+  beforeEach(async () => {
+    useFakeTemplates();
+    soyCompiler.setOptions({
+      outputDir: tmpDirs.tmp1,
+      uniqueDir: false,
+      locales: ['en', 'de'],
+    });
+    await soyCompiler.compileTemplates(inputDir);
+  });
+
+  test('lists the templates of a locale', () => {
+    expect(
+      soyCompiler.listTemplates('de').map(t => [t.name, t.variant])
+    ).toEqual([
+      ['template1.formletter', null],
+      ['template2.formletter', null],
+      ['template2.formletterCall', null],
+      ['template3._inner', null],
+      ['template3._inner', 'hello'],
+      ['template3.main', null],
+    ]);
+    expect(soyCompiler.listTemplates('de-AT')).toEqual(
+      soyCompiler.listTemplates('de')
+    );
+    expect(soyCompiler.listTemplates()).toEqual([]);
+  });
+
+  test('describes a template', () => {
+    expect(soyCompiler.getTemplateInfo('template1.formletter')).toEqual({
+      name: 'template1.formletter',
+      namespace: 'template1',
+      file: path.join(inputDir, 'template1.soy'),
+      line: 7,
+      description: null,
+      params: [
+        { name: 'title', required: true, type: null, description: null },
+        { name: 'surname', required: true, type: null, description: null },
+      ],
+      private: false,
+      delegate: false,
+      variant: null,
+      variants: [],
+      calls: [],
+      delcalls: [],
+      vmTypes: ['de', 'en'],
+    });
+    const inner = soyCompiler.getTemplateInfo('template3._inner');
+    expect(inner.description).toEqual('Default template');
+    expect(inner.variants).toEqual(['', 'hello']);
+    expect(soyCompiler.getTemplateInfo('template3.missing')).toBe(null);
+  });
+
+  test('suggests similar templates for unknown ones', () => {
+    expect(() =>
+      soyCompiler.render('template1.formleter', {}, null, 'en')
+    ).toThrow(
+      'soynode: Unknown template [template1.formleter], did you mean [template1.formletter], [template2.formletter], [template2.formletterCall]?'
+    );
+  });
+});
+
+describe('CLI', () => {
+  let io;
+  let stdout;
+  let stderr;
+
+  beforeEach(() => {
+    useFakeTemplates();
+    stdout = '';
+    stderr = '';
+    io = {
+      stdin: new PassThrough(),
+      stdout: {
+        write: s => {
+          stdout += s;
+        },
+      },
+      stderr: {
+        write: s => {
+          stderr += s;
+        },
+      },
+    };
+  });
+
+  test('compiles a directory', async () => {
+    const code = await runCli(
+      ['compile', inputDir, '--output-dir', tmpDirs.tmp1, '--locales=en,de'],
+      io
+    );
+    expect(code).toBe(0);
+    expect(stdout).toBe(`Compiled templates to ${tmpDirs.tmp1}\n`);
+    expect(fs.existsSync(path.join(tmpDirs.tmp1, 'de/template1.soy.js'))).toBe(
+      true
+    );
+    expect(spawnArgs[0]).toContain('en,de');
+  });
+
+  test('renders with data from stdin and lists templates as JSON', async () => {
+    io.stdin.end('{"title": "Mr.", "surname": "Pupius"}');
+    expect(
+      await runCli(
+        ['render', 'template1.formletter', '--input-dir', inputDir],
+        io
+      )
+    ).toBe(0);
+    expect(stdout).toBe('template1.formletter');
+
+    stdout = '';
+    expect(
+      await runCli(['list', inputDir, '--locale', 'de', '--json'], io)
+    ).toBe(0);
+    const result = JSON.parse(stdout);
+    expect(result.ok).toBe(true);
+    expect(result.templates.map(t => t.name)).toContain('template3.main');
+    expect(result.templates[0].vmTypes).toEqual(['de']);
+  });
+
+  test('keeps the output directory of the options file', async () => {
+    const optionsFile = path.join(tmpDirs.tmp2, 'soynode.json');
+    fs.writeJsonSync(optionsFile, {
+      outputDir: tmpDirs.tmp1,
+      uniqueDir: false,
+    });
+    const args = ['--options', optionsFile, '--data={}'];
+    expect(
+      await runCli(['compile', inputDir, '--output-dir', tmpDirs.tmp1], io)
+    ).toBe(0);
+
+    expect(await runCli(['list', inputDir, ...args], io)).toBe(0);
+    expect(
+      await runCli(
+        ['render', 'template3.main', '--input-dir', inputDir, ...args],
+        io
+      )
+    ).toBe(0);
+    expect(fs.existsSync(path.join(tmpDirs.tmp1, 'template3.soy.js'))).toBe(
+      true
+    );
+  });
+
+  test('renders templates compiled into subdirectories', async () => {
+    const compiledDir = path.join(tmpDirs.tmp1, 'compiled');
+    fs.outputFileSync(
+      path.join(compiledDir, 'pages/home.soy.js'),
+      'var pages = { home: function() { return "home"; } };\n'
+    );
+    expect(
+      await runCli(
+        ['render', 'pages.home', '--compiled-dir', compiledDir, '--data={}'],
+        io
+      )
+    ).toBe(0);
+    expect(stdout).toBe('home');
+  });
+
+  test('exits with 2 on usage errors and 1 on failures', async () => {
+    expect(await runCli(['compile', inputDir], io)).toBe(2);
+    expect(stderr).toMatch(/^compile needs an input and an output directory/);
+    expect(await runCli(['bogus'], io)).toBe(2);
+
+    stdout = '';
+    expect(
+      await runCli(
+        [
+          'render',
+          'template1.missing',
+          '--input-dir',
+          inputDir,
+          '--data={}',
+          '--json',
+        ],
+        io
+      )
+    ).toBe(1);
+    expect(JSON.parse(stdout)).toEqual({
+      ok: false,
+      error: expect.stringMatching(/Unknown template \[template1.missing\]/),
+    });
+  });
+});
+
+describe('Module output', () => {
+  /**
+   * Runs a script with node, outside of jest's module system.
+   */
+  const runNode = (args, script) =>
+    child_process.execFileSync(process.execPath, [...args, '-e', script], {
+      cwd: tmpDirs.tmp1,
+      encoding: 'utf8',
+    });
+
+  beforeEach(() => {
+    useFakeTemplates();
+  });
+
+  test('writes CommonJS modules', async () => {
+    soyCompiler.setOptions({
+      outputDir: tmpDirs.tmp1,
+      uniqueDir: false,
+      moduleFormat: 'commonjs',
+    });
+    await soyCompiler.compileTemplates(inputDir);
+
+    expect(soyCompiler.hasLoadedTemplates()).toBe(false);
+    const template2 = fs.readFileSync(
+      path.join(tmpDirs.tmp1, 'template2.soy.js'),
+      'utf8'
+    );
+    expect(template2).toMatch(
+      /^var soynodeRuntime = require\('.\/soyutils.js'\);/
+    );
+    expect(template2).toContain("require('./template1.soy.js');");
+    expect(
+      runNode(
+        [],
+        `const template2 = require('./template2.soy.js');
+        process.stdout.write(template2.formletterCall() + ' ' +
+          soy.$$escapeHtml('<b>').content);`
+      )
+    ).toBe('template2.formletterCall &lt;b&gt;');
+  });
+
+  test('writes ES modules per locale', async () => {
+    soyCompiler.setOptions({
+      outputDir: tmpDirs.tmp1,
+      uniqueDir: false,
+      locales: ['en', 'de'],
+      moduleFormat: 'esm',
+    });
+    await soyCompiler.compileTemplates(inputDir);
+    fs.writeFileSync(
+      path.join(tmpDirs.tmp1, 'package.json'),
+      '{"type": "module"}'
+    );
+
+    const template3 = fs.readFileSync(
+      path.join(tmpDirs.tmp1, 'de/template3.soy.js'),
+      'utf8'
+    );
+    expect(template3).toMatch(/^import soynodeRuntime from '..\/soyutils.js';/);
+    expect(template3).toContain('export { soynode$main as main };');
+    expect(
+      runNode(
+        ['--input-type=module'],
+        `import template1, { formletter } from './de/template1.soy.js';
+        import en from './en/template1.soy.js';
+        process.stdout.write(formletter() + ' ' + (template1 !== en));`
+      )
+    ).toBe('template1.formletter true');
+  });
+});
+
+describe('Browser bundle', () => {
+  beforeEach(async () => {
+    useFakeTemplates();
+    soyCompiler.setOptions({
+      outputDir: tmpDirs.tmp1,
+      uniqueDir: false,
+      locales: ['en', 'de'],
+      loadCompiledTemplates: false,
+    });
+    await soyCompiler.compileTemplates(inputDir);
+  });
+
+  test('writes a script per locale with the support code', async () => {
+    const files = await soyCompiler.buildBrowserBundle();
+    expect(files.sort()).toEqual([
+      path.join(tmpDirs.tmp1, 'compiled_de.soy.bundle.js'),
+      path.join(tmpDirs.tmp1, 'compiled_en.soy.bundle.js'),
+    ]);
+
+    const context = vm.createContext({});
+    vm.runInContext(fs.readFileSync(files[0], 'utf8'), context);
+    expect(
+      vm.runInContext(
+        'template3.main() + " " + soy.$$escapeHtml("<b>").content',
+        context
+      )
+    ).toBe('template3.main &lt;b&gt;');
+  });
+
+  test('bundles the selected templates and their callees', async () => {
+    const minify = jest.fn(code => code.replace(/\n+/g, '\n'));
+    const [file] = await soyCompiler.buildBrowserBundle({
+      locale: 'de',
+      include: ['template2.*'],
+      exclude: ['template2.formletter', 'template1.*'],
+      fileName: 'app',
+      minify,
+    });
+    expect(file).toBe(path.join(tmpDirs.tmp1, 'app_de.soy.bundle.js'));
+    expect(minify).toHaveBeenCalledTimes(1);
+
+    const code = fs.readFileSync(file, 'utf8');
+    expect(code).toContain('template2.formletterCall = function');
+    expect(code).toContain('template1.formletter = function');
+    expect(code).not.toContain('template3.main = function');
+    // Excluded, but declared in a bundled file.
+    expect(code).toContain('template2.formletter = function');
+  });
+
+  test('leaves out files whose templates are all excluded', async () => {
+    const [file] = await soyCompiler.buildBrowserBundle({
+      locale: 'en',
+      exclude: ['template3.*', 'template2.formletter*'],
+    });
+    const code = fs.readFileSync(file, 'utf8');
+    expect(code).toContain('template1.formletter = function');
+    expect(code).not.toContain('template2.formletter');
+    expect(code).not.toContain('template3.main');
+  });
+
+  test('is available from the CLI', async () => {
+    let stdout = '';
+    const code = await runCli(
+      [
+        'bundle',
+        inputDir,
+        '--output-dir',
+        tmpDirs.tmp2,
+        '--include=template3.main',
+      ],
+      {
+        stdin: null,
+        stdout: {
+          write: s => {
+            stdout += s;
+          },
+        },
+        stderr: { write: () => {} },
+      }
+    );
+    expect(code).toBe(0);
+    expect(stdout).toBe(
+      `Wrote ${path.join(tmpDirs.tmp2, 'compiled.soy.bundle.js')}\n`
+    );
+  });
+});
+
+describe('Source maps', () => {
+  beforeEach(() => {
+    useFakeTemplates();
+  });
+
+  test('maps compiled lines to their templates', () => {
+    const code = [
+      'if (typeof ns == "undefined") { var ns = {}; }',
+      'ns.main = function(opt_data) {',
+      '  return "";',
+      '};',
+      'ns.__deltemplate_s1_abc = function(opt_data) {',
+      '  return "";',
+      '};',
+      "soy.$$registerDelegateFn(soy.$$getDelTemplateId('ns.inner'), 'x', 0, ns.__deltemplate_s1_abc);",
+      '',
+    ].join('\n');
+    const lineMap = mapTemplateLines(code, 'ns.soy', {
+      namespace: 'ns',
+      templates: [
+        { name: 'ns.main', line: 3, delegate: false, variant: null },
+        { name: 'ns.inner', line: 9, delegate: true, variant: "'x'" },
+      ],
+    });
+    const main = { line: 3, name: 'ns.main' };
+    const inner = { line: 9, name: 'ns.inner' };
+    expect(lineMap).toEqual({
+      source: 'ns.soy',
+      lines: [null, main, main, main, inner, inner, inner, inner],
+    });
+
+    expect([0, 1, -1, 16, -16, 1000].map(encodeVlq)).toEqual([
+      'A',
+      'C',
+      'D',
+      'gB',
+      'hB',
+      'w+B',
+    ]);
+    expect(
+      buildSourceMap('out.js', [lineMap, { source: 'b.soy', lines: [null] }])
+    ).toEqual({
+      version: 3,
+      file: 'out.js',
+      sources: ['ns.soy'],
+      names: ['ns.main', 'ns.inner'],
+      mappings: ';AAEAA;AAAAA;AAAAA;AAMAC;AAAAA;AAAAA;AAAAA;',
+    });
+  });
+
+  test('points the stack of render errors at the soy file', async () => {
+    soyCompiler.setOptions({ outputDir: tmpDirs.tmp1, sourceMaps: true });
+    await soyCompiler.compileTemplates(inputDir);
+
+    let error;
+    try {
+      soyCompiler.render('template1.formletter', { throwError: 'Boom' });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.cause.message).toBe('Boom');
+    expect(error.cause.stack).toContain(
+      `${path.join(inputDir, 'template1.soy')}:7`
+    );
+    expect(error.cause.stack).not.toContain('template1.soy.js');
+  });
+
+  test('writes a source map for concatenated output', async () => {
+    soyCompiler.setOptions({
+      outputDir: tmpDirs.tmp1,
+      uniqueDir: false,
+      concatOutput: true,
+      sourceMaps: true,
+    });
+    await soyCompiler.compileTemplates(inputDir);
+
+    const code = fs.readFileSync(
+      path.join(tmpDirs.tmp1, 'compiled.soy.concat.js'),
+      'utf8'
+    );
+    expect(code).toMatch(
+      /\n\/\/# sourceMappingURL=compiled.soy.concat.js.map\n$/
+    );
+    const sourceMap = JSON.parse(
+      fs.readFileSync(
+        path.join(tmpDirs.tmp1, 'compiled.soy.concat.js.map'),
+        'utf8'
+      )
+    );
+    expect(sourceMap.sources).toContain('../tmp2/src/template1.soy');
+    expect(sourceMap.names).toContain('template3.main');
+    expect(sourceMap.mappings.split(';')).toHaveLength(
+      code.split('\n').length - 2
+    );
+  });
+});
+
+describe('Render errors', () => {
+  const file = path.join(tmpDirs.tmp1, 'nested.soy.js');
+
+  beforeEach(async () => {
+    fs.mkdirsSync(tmpDirs.tmp1);
+    fs.writeFileSync(
+      file,
+      [
+        'var nested = {};',
+        'nested.outer = function(opt_data) {',
+        '  return nested.inner(opt_data);',
+        '};',
+        'nested.inner = function(opt_data) {',
+        '  return opt_data.user.name;',
+        '};',
+      ].join('\n')
+    );
+  });
+
+  test('wraps errors with the context of the render', async () => {
+    await soyCompiler.loadCompiledTemplateFiles([file]);
+
+    let error;
+    try {
+      soyCompiler.render('nested.outer', {
+        user: null,
+        token: 'secret',
+        items: [],
+      });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(SoyRenderError);
+    expect(error.message).toMatch(
+      /^soynode: Error rendering template \[nested.outer\]: Cannot read/
+    );
+    expect(error.templateName).toBe('nested.outer');
+    expect(error.soyStack).toEqual(['nested.inner', 'nested.outer']);
+    expect(error.vmType).toBe('default');
+    expect(error.dataSummary).toEqual({
+      user: 'null',
+      token: 'string',
+      items: 'list',
+    });
+    expect(error.cause.name).toBe('TypeError');
+    expect(error.stack).toContain('Caused by: TypeError');
+  });
+
+  test('rethrows the original errors if asked to', async () => {
+    soyCompiler.setOptions({ rethrowRenderErrors: true });
+    await soyCompiler.loadCompiledTemplateFiles([file]);
+
+    expect(() => soyCompiler.render('nested.outer', {})).toThrow(
+      /^Cannot read/
+    );
+    const error = await new Promise(resolve =>
+      soyCompiler
+        .renderToStream('nested.outer', {})
+        .on('error', resolve)
+        .resume()
+    );
+    expect(error.name).toBe('TypeError');
+    expect(error.templateName).toBeUndefined();
+  });
+});
+
+describe('Locale fallbacks', () => {
+  beforeEach(async () => {
+    useFakeTemplates();
+    soyCompiler.setOptions({
+      outputDir: tmpDirs.tmp1,
+      uniqueDir: false,
+      locales: ['en', 'pt-BR'],
+      localeFallbacks: { 'pt-PT': ['pt-BR'], 'en-AU': 'en-GB' },
+    });
+    await soyCompiler.compileTemplates(inputDir);
+  });
+
+  test('resolves locales through fallbacks and truncation', () => {
+    expect(soyCompiler.resolveVmType('pt-PT')).toBe('pt-BR');
+    expect(soyCompiler.resolveVmType('en-AU')).toBe('en');
+    expect(soyCompiler.resolveVmType('en_US')).toBe('en');
+    expect(soyCompiler.resolveVmType('en')).toBe('en');
+    expect(soyCompiler.resolveVmType('fr-FR')).toBe('default');
+    expect(soyCompiler.resolveVmType(null)).toBe('default');
+  });
+
+  test('renders with the resolved locale', () => {
+    ['en', 'pt-BR'].forEach(locale =>
+      vm.runInContext(
+        `template1.locale = function() { return "${locale}"; };`,
+        soyCompiler.getVMContext(locale)
+      )
+    );
+    expect(soyCompiler.render('template1.locale', {}, null, 'pt-PT')).toBe(
+      'pt-BR'
+    );
+    const template = soyCompiler.get('template1.locale', 'en-US');
+    expect(template()).toBe('en');
+    expect(template.vmType).toBe('en');
+    expect(
+      soyCompiler.get('template1.locale', 'pt-PT', { live: true }).vmType
+    ).toBe('pt-BR');
+    expect(
+      soyCompiler.renderToStream('template1.locale', {}, null, 'pt-PT').vmType
+    ).toBe('pt-BR');
+    expect(Object.keys(soyCompiler._vmContexts).sort()).toEqual([
+      'en',
+      'pt-BR',
+    ]);
+  });
+});
+
+/**
+ * Stands in for the java message extractor.  Writes a trans-unit per message of
+ * the sources, identified by its description, or fails on a `{msg}` without one.
+ */
+const FAKE_EXTRACTOR = `
+  const fs = require('fs');
+  const args = process.argv.slice(1);
+  const flag = name => args[args.indexOf(name) + 1];
+  const target = args.indexOf('--targetLocaleString') === -1 ? '' :
+    ' target-language="' + flag('--targetLocaleString') + '"';
+  let units = '';
+  flag('--srcs').split(',').forEach(file => {
+    const source = fs.readFileSync(file, 'utf8');
+    if (source.indexOf('{msg}') !== -1) {
+      process.stderr.write('In file ' + file + ':2:1: Message without description.');
+      process.exit(1);
+    }
+    source.replace(/{msg desc="([^"]*)"}(.*?){\\/msg}/g, (match, desc, text) => {
+      units += '<trans-unit id="' + desc.replace(/\\W+/g, '_') + '"><source>' +
+        text.replace(/{\\$(\\w+)}/g, (m, name) => '<x id="' + name.toUpperCase() + '"/>') +
+        '</source><note>' + desc + '</note></trans-unit>\\n';
+    });
+  });
+  fs.writeFileSync(flag('--outputFile'), '<xliff><file source-language="' +
+    flag('--sourceLocaleString') + '"' + target + '>\\n' + units + '</file></xliff>\\n');`;
+
+/**
+ * Replaces java with FAKE_EXTRACTOR, recording the arguments in spawnArgs.
+ */
+const useFakeExtractor = () => {
+  child_process.spawn = (cmd, args, opts) => {
+    spawnArgs.push(args);
+    return spawn(
+      process.execPath,
+      ['-e', FAKE_EXTRACTOR, '--', ...args.slice(3)],
+      opts
+    );
+  };
+};
+
+describe('Message extraction', () => {
+  const outputFile = path.join(tmpDirs.tmp1, 'messages.xlf');
+
+  beforeEach(() => {
+    fs.copySync(assetsPath, inputDir);
+    useFakeExtractor();
+  });
+
+  test('writes the messages of a directory to an XLIFF file', async () => {
+    const file = await soyCompiler.extractMessages({
+      inputDir,
+      outputFile,
+      targetLocale: 'de',
+    });
+    expect(file).toBe(outputFile);
+    const args = spawnArgs[spawnArgs.length - 1];
+    expect(args[2]).toBe('com.google.template.soy.SoyMsgExtractor');
+    expect(args[args.indexOf('--srcs') + 1].split(',').sort()).toEqual([
+      'template1.soy',
+      'template2.soy',
+      'template3.soy',
+    ]);
+
+    const xliff = fs.readFileSync(outputFile, 'utf8');
+    expect(xliff).toContain('source-language="en" target-language="de"');
+    expect(xliff.match(/<trans-unit /g)).toHaveLength(2);
+  });
+
+  test('rejects with the diagnostics of the extractor', async () => {
+    fs.writeFileSync(
+      path.join(inputDir, 'broken.soy'),
+      '{namespace broken}\n{template .a}{msg}Hi{/msg}{/template}\n'
+    );
+    await expect(
+      soyCompiler.extractMessages({ inputDir, outputFile })
+    ).rejects.toMatchObject({
+      name: 'SoyCompileError',
+      diagnostics: [expect.objectContaining({ file: 'broken.soy', line: 2 })],
+    });
+  });
+
+  test('is available from the command line', async () => {
+    let stdout = '';
+    const code = await runCli(
+      [
+        'extract',
+        inputDir,
+        '--output-file',
+        outputFile,
+        '--source-locale',
+        'en-GB',
+        '--json',
+      ],
+      {
+        stdin: new PassThrough(),
+        stdout: {
+          write: s => {
+            stdout += s;
+          },
+        },
+        stderr: { write: () => {} },
+      }
+    );
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout)).toEqual({ ok: true, file: outputFile });
+    expect(fs.readFileSync(outputFile, 'utf8')).toContain(
+      '<file source-language="en-GB">'
+    );
+  });
+});
+
+describe('Translation check', () => {
+  const messageId = 'Promotional_message_for_ordering_theme_songs';
+
+  /**
+   * Writes the message file of a locale, with a target per [id, target] pair.
+   */
+  const writeMessages = (locale, units) =>
+    fs.outputFileSync(
+      path.join(inputDir, 'i18n', `${locale}.xlf`),
+      `<xliff><file source-language="en" target-language="${locale}"><body>
+      ${units
+        .map(
+          ([id, target]) =>
+            `<trans-unit id="${id}"><source/><target>${target}</target></trans-unit>`
+        )
+        .join('\n')}
+      </body></file></xliff>`
+    );
+
+  beforeEach(() => {
+    fs.copySync(assetsPath, inputDir);
+    useFakeExtractor();
+    soyCompiler.setOptions({
+      tmpDir: tmpDirs.tmp1,
+      locales: ['de', 'fr', 'it', 'es'],
+      messageFilePathFormat: 'i18n/{LOCALE}.xlf',
+    });
+    writeMessages('de', [
+      [messageId, 'Lieber <x id="TITLE"/> <x id="SURNAME"/>!'],
+      ['removed', 'Weg'],
+    ]);
+    writeMessages('fr', [[messageId, 'Cher <x id="NAME"/>!']]);
+    writeMessages('es', []);
+  });
+
+  test('reports missing, obsolete and mismatched messages', async () => {
+    const [de, fr, it, es] = await soyCompiler.checkTranslations({ inputDir });
+    expect(de).toMatchObject({
+      locale: 'de',
+      file: path.join(inputDir, 'i18n/de.xlf'),
+      missingFile: false,
+      complete: true,
+      total: 2,
+      translated: 2,
+      coverage: 100,
+      missing: [],
+      obsolete: [{ id: 'removed', description: null }],
+    });
+    expect(fr.complete).toBe(false);
+    expect(fr.placeholderMismatches[0]).toMatchObject({
+      id: messageId,
+      missing: ['SURNAME', 'TITLE'],
+      unexpected: ['NAME'],
+    });
+    expect(it).toMatchObject({
+      file: path.join(inputDir, 'i18n/it.xlf'),
+      missingFile: true,
+      complete: false,
+      translated: 0,
+      missing: [],
+    });
+    expect(es).toMatchObject({
+      missingFile: false,
+      complete: false,
+      coverage: 0,
+    });
+    expect(es.missing[0]).toEqual({
+      id: messageId,
+      description: 'Promotional message for ordering theme songs',
+    });
+    expect(fs.readdirSync(tmpDirs.tmp1)).toEqual([]);
+  });
+
+  test('fails the command line check on incomplete translations', async () => {
+    let stdout = '';
+    const io = {
+      stdin: new PassThrough(),
+      stdout: {
+        write: s => {
+          stdout += s;
+        },
+      },
+      stderr: { write: () => {} },
+    };
+    const args = [
+      'check',
+      inputDir,
+      '--message-file-path-format',
+      'i18n/{LOCALE}.xlf',
+    ];
+
+    expect(await runCli([...args, '--locales', 'de'], io)).toBe(0);
+    expect(stdout).toContain(
+      'de: 100% translated (2/2), 0 missing, 1 obsolete'
+    );
+    expect(await runCli([...args, '--locales', 'de,fr', '--json'], io)).toBe(1);
+    expect(await runCli([...args, '--locales', 'it'], io)).toBe(1);
+    expect(stdout).toContain(
+      `it: no message file at ${path.join(inputDir, 'i18n/it.xlf')}`
+    );
+  });
+
+  test('parses the placeholders of XLIFF files', () => {
+    const { sourceLocale, targetLocale, messages } = parseXliff(
+      fs.readFileSync(path.join(assetsPath, 'translations_es.xlf'), 'utf8')
+    );
+    expect([sourceLocale, targetLocale]).toEqual(['en', 'es']);
+    expect(messages).toHaveLength(1);
+    expect(messages[0].description).toBe(
+      'Promotional message for ordering theme songs'
+    );
+    expect(getPlaceholders(messages[0].target || '')).toEqual([
+      'SURNAME',
+      'TITLE',
+    ]);
+  });
+});
+
+describe('Lazy locales', () => {
+  /**
+   * @return {Array.<string>} The locales passed to each compiler run.
+   */
+  const compiledLocales = () =>
+    spawnArgs.map(args => args[args.indexOf('--locales') + 1]);
+
+  beforeEach(async () => {
+    useFakeTemplates();
+    soyCompiler.setOptions({
+      outputDir: tmpDirs.tmp1,
+      uniqueDir: false,
+      locales: ['en', 'de', 'fr'],
+      lazyLocales: true,
+      maxLoadedLocales: 2,
+    });
+    await soyCompiler.compileTemplates(inputDir);
+  });
+
+  test('compiles a locale on its first render', async () => {
+    expect(compiledLocales()).toEqual(['en']);
+    expect(soyCompiler.render('template1.formletter', {}, null, 'en')).toBe(
+      'template1.formletter'
+    );
+    expect(() =>
+      soyCompiler.render('template1.formletter', {}, null, 'de')
+    ).toThrow('soynode: Templates for [de] are not loaded');
+
+    expect(
+      await soyCompiler.renderAsync('template1.formletter', {}, null, 'de-AT')
+    ).toBe('template1.formletter');
+    expect(soyCompiler.render('template1.formletter', {}, null, 'de')).toBe(
+      'template1.formletter'
+    );
+    await soyCompiler.ensureLocale('de');
+    expect(compiledLocales()).toEqual(['en', 'de']);
+  });
+
+  test('checks the templates of the first locale when compiling', async () => {
+    fs.writeFileSync(path.join(inputDir, 'broken.soy'), '{template .broken}');
+    const compiler = new SoyCompiler();
+    compiler.setOptions({
+      outputDir: tmpDirs.tmp1,
+      uniqueDir: false,
+      locales: ['de', 'fr'],
+      lazyLocales: true,
+    });
+    const succeeded = jest.fn();
+    compiler.on('compileSuccess', succeeded);
+
+    await expect(compiler.compileTemplates(inputDir)).rejects.toBeInstanceOf(
+      SoyCompileError
+    );
+    expect(succeeded).not.toHaveBeenCalled();
+    expect(compiledLocales()).toEqual(['en', 'de']);
+    await compiler.close();
+  });
+
+  test('releases the least recently used locales', async () => {
+    await soyCompiler.ensureLocale('en');
+    await soyCompiler.ensureLocale('de');
+    soyCompiler.render('template1.formletter', {}, null, 'en');
+    await soyCompiler.ensureLocale('fr');
+    expect(Object.keys(soyCompiler._vmContexts).sort()).toEqual(['en', 'fr']);
+    expect(() =>
+      soyCompiler.render('template2.formletter', {}, null, 'de')
+    ).toThrow('soynode: Templates for [de] are not loaded');
+
+    expect(
+      await soyCompiler.renderAsync('template2.formletter', {}, null, 'de')
+    ).toBe('template2.formletter');
+    expect(Object.keys(soyCompiler._vmContexts).sort()).toEqual(['de', 'fr']);
+    expect(compiledLocales()).toEqual(['en', 'de', 'fr']);
+  });
+
+  test('emits the lifecycle events of locale loads', async () => {
+    const events = [];
+    ['compileStart', 'compileSuccess', 'templatesReloaded'].forEach(name =>
+      soyCompiler.on(name, payload =>
+        events.push([name, payload.vmTypes || payload.vmType])
+      )
+    );
+    await soyCompiler.ensureLocale('de');
+    expect(events).toEqual([
+      ['compileStart', ['de']],
+      ['templatesReloaded', 'de'],
+      ['compileSuccess', ['de']],
+    ]);
+
+    await soyCompiler.ensureLocale('fr');
+    await soyCompiler.ensureLocale('en');
+    events.length = 0;
+    await soyCompiler.ensureLocale('de');
+    expect(events).toEqual([['templatesReloaded', 'de']]);
+  });
+
+  test('keeps a locale loaded while its render is pending', async () => {
+    soyCompiler.setOptions({ maxLoadedLocales: 1 });
+    const { ensureLocale } = soyCompiler;
+    // Another locale finishes loading before the render.
+    soyCompiler.ensureLocale = async locale => {
+      const vmType = await ensureLocale(locale);
+      if (vmType === 'de') await ensureLocale('fr');
+      return vmType;
+    };
+
+    expect(
+      await soyCompiler.renderAsync('template1.formletter', {}, null, 'de')
+    ).toBe('template1.formletter');
+    // Released once the render is done, as the render used de last.
+    expect(Object.keys(soyCompiler._vmContexts)).toEqual(['de']);
+  });
+
+  test('only recompiles stale files of a released locale', async () => {
+    await soyCompiler.ensureLocale('en');
+    await soyCompiler.ensureLocale('de');
+    await soyCompiler.ensureLocale('fr');
+    fs.appendFileSync(path.join(inputDir, 'template3.soy'), '\n');
+
+    expect(
+      await soyCompiler.renderAsync('template1.formletter', {}, null, 'en')
+    ).toBe('template1.formletter');
+    expect(compiledLocales()).toEqual(['en', 'de', 'fr', 'en']);
+    expect(spawnArgs[3].filter(arg => /\.soy$/.test(arg))).toEqual([
+      'template3.soy',
+    ]);
+  });
+});